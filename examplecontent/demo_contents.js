@@ -12,6 +12,7 @@ export const demoContents = [
         id: 'project',
         label: 'My Project',
         type: 'folder',
+        deletable: false, // The project root stays, its contents can be deleted
         toggles: {
             add: null,     // Layers usually don't add children
             visible: null,
@@ -133,6 +134,12 @@ export const demoContents = [
                         }
                     }
                 ]
+            },
+            {
+                id: 'remote',
+                label: 'Remote Library',
+                type: 'folder',
+                lazy: true,  // Children are fetched by demoModel.loadChildren on first expand
             }
         ]
     }
@@ -15,6 +15,7 @@ export const demoModel = {
             collapsed: icons.folder,
             default: icons.folder,
             allowedChildren: ['folder', 'file', 'component', 'layer', 'custom'],
+            uniqueLabels: true, // No two siblings with the same name
             defaultToggles: {
                 add: true,      // Folders can add children
                 visible: true,
@@ -38,6 +39,8 @@ export const demoModel = {
         file: {
             default: icons.document,
             allowedChildren: [],
+            uniqueLabels: true,
+            validateLabel: (label) => !/[\\/:*?"<>|]/.test(label) || 'File names cannot contain \\ / : * ? " < > |',
             defaultToggles: {
                 add: false,     // Files typically don't add children
                 visible: true,
@@ -58,6 +61,30 @@ export const demoModel = {
         component: {
             default: icons.component,
             allowedChildren: ['layer', 'custom'],
+            // Built-in entries plus custom actions; other types use the default menu
+            contextMenu: [
+                'addChild', 'rename', 'duplicate', 'delete', '-',
+                {
+                    label: 'Select',
+                    submenu: [
+                        {
+                            label: 'Children',
+                            disabled: (node) => !node.children?.length,
+                            action: (node, ids, tree) => tree.setSelection(node.children.map(child => child.id))
+                        },
+                        {
+                            label: 'Layers inside',
+                            hidden: (node) => !node.children?.some(child => child.type === 'layer'),
+                            action: (node, ids, tree) => tree.setSelection(node.children.filter(child => child.type === 'layer').map(child => child.id))
+                        }
+                    ]
+                },
+                {
+                    label: 'Log to console',
+                    action: (node, ids, tree) => console.log(ids.map(id => tree.getNodeById(id)))
+                },
+                '-', 'expandAll', 'collapseAll'
+            ],
             defaultToggles: {
                 add: true,      // Components can have child elements
                 visible: true,
@@ -130,6 +157,9 @@ export const demoModel = {
             label: 'Visibility',
             icons: { true: icons.eye, false: icons.eyeSlash },
             values: [true, false],
+            inherit: true,   // Hidden parents hide their children
+            hotkey: 'h',     // With a modifier: alt+h solos, ctrl+h the subtree (h alone is type-ahead)
+            modifiers: { alt: 'solo', ctrl: 'subtree', shift: 'invert-siblings' },
             styles: {
                 true: { color: '#2196f3' },   // Blue for visible
                 false: { color: '#757575' }   // Gray for hidden
@@ -139,6 +169,7 @@ export const demoModel = {
             label: 'Enabled',
             icons: { true: icons.check, false: icons.xMark },
             values: [true, false],
+            cascade: true,   // Clicking a parent enables or disables everything below it
             styles: {
                 true: { color: '#4caf50' },   // Green for enabled
                 false: { color: '#f44336' }   // Red for disabled
@@ -148,6 +179,10 @@ export const demoModel = {
             label: 'Locked',
             icons: { true: icons.lock, false: icons.lockOpen },
             values: [true, false],
+            inherit: true,
+            inheritValue: true,   // Locked parents lock their children
+            hotkey: 'l',     // ctrl+l locks the subtree
+            modifiers: { ctrl: 'subtree' },
             styles: {
                 true: { color: '#ff9800' },   // Orange for locked
                 false: { color: '#9e9e9e' }   // Gray for unlocked
@@ -174,10 +209,48 @@ export const demoModel = {
     // Order of toggle columns for consistent alignment
     toggleOrder: ['add', 'visible', 'enabled', 'locked', 'active'],
 
+    // Table columns, the toggle columns of toggleOrder follow them
+    columns: [
+        {
+            key: 'type',
+            label: 'Type',
+            type: 'badge',
+            width: 90,
+            colors: { folder: '#a66b00', file: '#2e7d32', component: '#6a1b9a', layer: '#1565c0' }
+        },
+        {
+            key: 'items',
+            label: 'Items',
+            type: 'number',
+            width: 50,
+            value: (node) => node.children?.length ?? null   // Lazy nodes that were not loaded yet stay empty
+        }
+    ],
+
+    // Simulated server: fetches the children of lazy nodes with a delay and fails now and then
+    loadChildren: (node) => new Promise((resolve, reject) => {
+        setTimeout(() => {
+            if (Math.random() < 0.25) {
+                reject(new Error('Server did not respond'));
+                return;
+            }
+            const depth = node.id.split('/').length;
+            resolve(Array.from({ length: 4 }, (_, i) => depth < 3
+                ? { id: `${node.id}/pack${i + 1}`, label: `Pack ${i + 1}`, type: 'folder', lazy: true }
+                : { id: `${node.id}/asset${i + 1}`, label: `asset_${i + 1}.png`, type: 'file' }));
+        }, 600);
+    }),
+
+    // Files dropped from the OS become file nodes; anything else is ignored
+    createNodeFromDrop: (dataTransfer) => {
+        const files = Array.from(dataTransfer.files || []);
+        return files.length > 0 ? files.map(file => ({ label: file.name, type: 'file' })) : null;
+    },
+
     // TreeView configuration
     treeViewConfig: {
         showIcons: true,
-        multiSelect: false
+        multiSelect: true
     }
 };
 
@@ -185,33 +258,78 @@ export const demoModel = {
  * Event callbacks for the demo
  */
 export const demoCallbacks = {
-    onSelectionChange: (selectedPaths, node, logEvent) => {
-        logEvent(`<span style="color:#4fc3f7;">Selection:</span> ${selectedPaths.join(', ')} | <span style="color:#ffeb3b;">Node:</span> ${node.label}`);
+    onSelectionChange: (selectedIds, node, change, logEvent) => {
+        const diff = change ? ` <span style="color:#9e9e9e;">(+${change.added.length} / -${change.removed.length})</span>` : '';
+        logEvent(`<span style="color:#4fc3f7;">Selection:</span> ${selectedIds.join(', ')}${diff} | <span style="color:#ffeb3b;">Node:</span> ${node?.label}`);
     },
 
-    onNodeExpand: (path, expanded, logEvent) => {
-        logEvent(`<span style="color:#4caf50;">Node:</span> ${expanded ? 'expanded' : 'collapsed'} → ${path}`);
+    onNodeExpand: (id, expanded, logEvent) => {
+        logEvent(`<span style="color:#4caf50;">Node:</span> ${expanded ? 'expanded' : 'collapsed'} → ${id}`);
+    },
+
+    onNodeRename: (node, oldLabel, newLabel, logEvent, updateJsonViewer) => {
+        logEvent(`<span style="color:#ce93d8;">Renamed:</span> '${oldLabel}' → '${newLabel}' (${node.id})`);
+        setTimeout(updateJsonViewer, 0); // The label is applied after the callback returns
     },
 
     onNodeAdd: (node, newChild, action, childType, logEvent, updateJsonViewer) => {
-        logEvent(`<span style="color:#4caf50;">Node Added:</span> '${newChild.label}' (${childType}) to '${node.label}'`);
+        const verbs = { duplicate: 'Duplicated', paste: 'Pasted', drop: 'Dropped' };
+        const verb = verbs[action] || 'Node Added';
+        logEvent(`<span style="color:#4caf50;">${verb}:</span> '${newChild.label}' (${childType}) to '${node ? node.label : 'root'}'`);
         updateJsonViewer();
     },
         // Notify via callbac
 
-    onToggleClick: (path, property, newValue, oldValue, node, type, logEvent, updateJsonViewer) => {
+    onNodeRemove: (parent, node, action, type, logEvent, updateJsonViewer) => {
+        const verb = action === 'delete' ? 'Deleted' : 'Moved Out';
+        logEvent(`<span style="color:#f44336;">${verb}:</span> '${node.label}' (${type}) from '${parent ? parent.label : 'root'}'`);
+        updateJsonViewer();
+    },
+
+    onNodeCopy: (ids, nodes, logEvent) => {
+        logEvent(`<span style="color:#90caf9;">Copied:</span> ${nodes.map(node => `'${node.label}'`).join(', ')}`);
+    },
+
+    onNodeCut: (ids, nodes, logEvent) => {
+        logEvent(`<span style="color:#90caf9;">Cut:</span> ${nodes.map(node => `'${node.label}'`).join(', ')}`);
+    },
+
+    onToggleClick: (id, property, newValue, oldValue, node, type, changes, logEvent, updateJsonViewer) => {
         if (type === 'add_child') {
             logEvent(`<span style="color:#4caf50;">Added:</span> New child '${node.label}' (type: ${node.type})`);
             updateJsonViewer();
         } else if (type === 'action') {
             logEvent(`<span style="color:#4caf50;">Action:</span> ${property} triggered`);
+        } else if (changes.length > 1) {
+            logEvent(`<span style="color:#ff9800;">Toggle:</span> '${property}' → ${newValue} for ${changes.map(change => `'${change.node.label}'`).join(', ')}`);
+            updateJsonViewer();
+        } else {
+            logEvent(`<span style="color:#ff9800;">Toggle:</span> '${property}' ${oldValue} → ${newValue} for '${node.label}' (${id})`);
+            updateJsonViewer();
+        }
+    },
+
+    onChildrenLoad: (id, children, error, logEvent, updateJsonViewer) => {
+        if (error) {
+            logEvent(`<span style="color:#f44336;">Load Failed:</span> ${id} (${error.message})`);
         } else {
-            logEvent(`<span style="color:#ff9800;">Toggle:</span> '${property}' ${oldValue} → ${newValue} for '${node.label}' (${path})`);
+            logEvent(`<span style="color:#4caf50;">Loaded:</span> ${children.length} children of ${id}`);
             updateJsonViewer();
         }
     },
 
-    onNodeDrop: (sourcePath, targetPath, action, sourceNode, targetNode, errorReason, logEvent, updateJsonViewer) => {
+    onHistoryChange: (state, logEvent, updateJsonViewer) => {
+        if (state.action === 'undo' || state.action === 'redo') {
+            logEvent(`<span style="color:#90caf9;">${state.action === 'undo' ? 'Undo' : 'Redo'}:</span> ${state.label} (${state.undoCount} undo / ${state.redoCount} redo)`);
+        }
+        updateJsonViewer();
+    },
+
+    onSortChange: (sort, logEvent) => {
+        logEvent(`<span style="color:#90caf9;">Sort:</span> ${sort ? `${sort.key} (${sort.direction})` : 'off'}`);
+    },
+
+    onNodeDrop: (sourceId, targetId, action, sourceNode, targetNode, errorReason, logEvent, updateJsonViewer) => {
         switch (action) {
             case 'dragstart':
                 logEvent(`<span style="color:#ff9800;">Drag Start:</span> Moving '${sourceNode.label}' (${sourceNode.type})`);
@@ -5,6 +5,43 @@ import { icons } from './icons.js';
 export const ICONS = {
     EXPANDED: icons.chevronDown,
     COLLAPSED: icons.chevronRight,
+    SORT_ASC: '▲',
+    SORT_DESC: '▼',
+};
+
+export const LAYOUT = {
+    INDENT: 16,          // Horizontal offset per tree level in pixels
+    ROW_HEIGHT: 22,      // Fallback row height for virtualized rendering
+    OVERSCAN: 8,         // Extra rows rendered above and below the viewport
+    AUTO_SCROLL_EDGE: 32,  // Distance from the container edge in pixels where dragging scrolls
+    AUTO_SCROLL_SPEED: 16, // Maximum scroll step in pixels per dragover event
+    DRAG_THRESHOLD: 5,   // Distance in pixels a mouse or pen moves before a pointer drag starts
+    COLUMN_WIDTH: 80,    // Default width in pixels of a table column
+    TOGGLE_COLUMN_WIDTH: 20, // Width in pixels of a toggle column
+    MIN_COLUMN_WIDTH: 24, // Narrowest a column can be resized to
+};
+
+export const DELAYS = {
+    TYPE_AHEAD: 500,     // Time in ms before the type-ahead search buffer is cleared
+    DRAG_EXPAND: 700,    // Time in ms a collapsed node is hovered during a drag before it expands
+    LONG_PRESS: 500,     // Time in ms a touch rests on a row before a pointer drag starts
+    DRAG_REPEAT: 50,     // Interval in ms at which a resting pointer drag updates auto-scroll and hover expand
+    FLASH: 1200,         // Time in ms a row revealed with { flash: true } stays highlighted
+    SAVE_VIEW_STATE: 250, // Time in ms view state changes are collected before they are written to localStorage
+};
+
+// Built-in context menu entries, in the order they are shown by default
+export const CONTEXT_MENU = [
+    'addChild', 'rename', 'duplicate', 'delete', '-',
+    'cut', 'copy', 'paste', '-',
+    'expandAll', 'collapseAll',
+];
+
+// Payload written to the system clipboard and the drag data when nodes are copied, cut or dragged
+export const CLIPBOARD = {
+    FORMAT: 'treeview-nodes',
+    VERSION: 1,
+    MIME_TYPE: 'application/x-treeview-nodes',   // Drag data type, lets drop targets recognize tree nodes while dragging
 };
 
 export const STYLES = {
@@ -34,6 +71,43 @@ export const STYLES = {
         backgroundColor: '#007acc',
         color: '#ffffff',
     },
+    FILTER_MATCH: {
+        backgroundColor: 'rgba(255, 213, 79, 0.35)',
+        color: 'inherit',
+        borderRadius: '2px',
+        padding: '0',
+    },
+    RENAME_INPUT: {
+        font: 'inherit',
+        color: '#e0e0e0',
+        backgroundColor: '#1e1e1e',
+        border: '1px solid #007acc',
+        borderRadius: '2px',
+        padding: '0 2px',
+        margin: '0',
+        outline: 'none',
+        boxSizing: 'border-box',
+    },
+    RENAME_INPUT_INVALID: {
+        borderColor: '#f44336',
+    },
+    NODE_CUT: {
+        opacity: '0.5',
+    },
+    TOGGLE_INHERITED: {
+        opacity: '0.4',
+    },
+    TOGGLE_MIXED: {
+        boxShadow: 'inset 0 -2px 0 #ff9800',   // Underlines the icon of a parent whose descendants disagree
+    },
+    NODE_FLASH: {
+        boxShadow: 'inset 0 0 0 2px #ffd54f',
+        transition: 'box-shadow 0.3s ease',
+    },
+    NODE_FOCUSED: {
+        outline: '1px solid #4fc3f7',
+        outlineOffset: '-1px',
+    },
     NODE_CONTENT: {
         display: 'flex',
         alignItems: 'center',
@@ -46,6 +120,188 @@ export const STYLES = {
     CHILDREN: {
         marginLeft: '16px',
     },
+    TABLE_HEADER: {
+        position: 'sticky',
+        top: '0',
+        zIndex: '1',             // Above the rows scrolling underneath
+        display: 'flex',
+        alignItems: 'center',
+        padding: '2px 4px',      // Same as the rows, so the columns line up
+        backgroundColor: '#2d2d2d',
+        borderBottom: '1px solid #555',
+        fontSize: '12px',
+        color: '#9e9e9e',
+        userSelect: 'none',
+        whiteSpace: 'nowrap',
+    },
+    TABLE_HEADER_CELL: {
+        position: 'relative',
+        flex: '0 0 auto',
+        boxSizing: 'border-box',
+        padding: '0 4px',
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+    },
+    TABLE_HEADER_SORTABLE: {
+        cursor: 'pointer',
+    },
+    TABLE_CELLS: {
+        display: 'flex',
+        alignItems: 'center',
+        flex: '0 0 auto',
+        marginLeft: 'auto',
+    },
+    TABLE_CELL: {
+        flex: '0 0 auto',
+        boxSizing: 'border-box',
+        padding: '0 4px',
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        whiteSpace: 'nowrap',
+    },
+    TABLE_BADGE: {
+        display: 'inline-block',
+        maxWidth: '100%',
+        padding: '0 6px',
+        fontSize: '11px',
+        lineHeight: '16px',
+        color: '#ffffff',
+        backgroundColor: '#555',
+        borderRadius: '8px',
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        verticalAlign: 'middle',
+    },
+    COLUMN_RESIZER: {
+        position: 'absolute',
+        top: '0',
+        bottom: '0',
+        left: '0',               // Columns are aligned to the right, so they grow to the left
+        width: '5px',
+        cursor: 'col-resize',
+        touchAction: 'none',
+    },
+    VIRTUAL_SPACER: {
+        position: 'relative',
+        width: '100%',
+    },
+    VIRTUAL_ROW: {
+        position: 'absolute',
+        left: '0',
+        right: '0',
+        boxSizing: 'border-box',
+        display: 'flex',
+        alignItems: 'center',
+        overflow: 'hidden',
+    },
+    PLACEHOLDER: {
+        cursor: 'default',
+        fontStyle: 'italic',
+        color: '#9e9e9e',
+        display: 'flex',
+        alignItems: 'center',
+    },
+    PLACEHOLDER_ERROR: {
+        color: '#f44336',
+    },
+    GROUP_HEADER: {
+        fontStyle: 'normal',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em',
+        boxShadow: 'inset 0 -1px 0 #444',   // Divider that keeps the row height of virtualized rows
+    },
+    PLACEHOLDER_LABEL: {
+        marginLeft: '16px',      // Aligns with the labels of rows that have an expand icon
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+    },
+    RETRY_BUTTON: {
+        marginLeft: '8px',
+        font: 'inherit',
+        fontStyle: 'normal',
+        fontSize: '12px',
+        color: '#e0e0e0',
+        backgroundColor: '#404040',
+        border: '1px solid #555',
+        borderRadius: '3px',
+        padding: '0 6px',
+        cursor: 'pointer',
+    },
+    MENU: {
+        position: 'fixed',
+        minWidth: '160px',
+        backgroundColor: '#2d2d2d',
+        color: '#e0e0e0',
+        border: '1px solid #555',
+        borderRadius: '4px',
+        padding: '4px',
+        zIndex: '1001',
+        fontFamily: 'monospace',
+        fontSize: '12px',
+        boxShadow: '0 2px 8px rgba(0, 0, 0, 0.3)',
+        outline: 'none',
+    },
+    MENU_ITEM: {
+        display: 'flex',
+        alignItems: 'center',
+        padding: '4px 8px',
+        cursor: 'pointer',
+        borderRadius: '2px',
+        whiteSpace: 'nowrap',
+        outline: 'none',
+    },
+    MENU_ITEM_ACTIVE: {
+        backgroundColor: '#404040',
+    },
+    MENU_ITEM_DISABLED: {
+        opacity: '0.4',
+        cursor: 'default',
+    },
+    MENU_ICON: {
+        width: '16px',
+        marginRight: '6px',
+        textAlign: 'center',
+    },
+    MENU_SHORTCUT: {
+        marginLeft: '16px',
+        opacity: '0.6',
+    },
+    MENU_SEPARATOR: {
+        height: '1px',
+        margin: '4px 0',
+        backgroundColor: '#555',
+    },
+    DRAG_GHOST: {
+        position: 'fixed',
+        top: '-1000px',
+        left: '0',
+        display: 'flex',
+        alignItems: 'center',
+        padding: '2px 6px',
+        fontFamily: 'monospace',
+        fontSize: '14px',
+        color: '#ffffff',
+        backgroundColor: '#007acc',
+        borderRadius: '3px',
+        whiteSpace: 'nowrap',
+    },
+    POINTER_DRAG_GHOST: {
+        zIndex: '1001',
+        pointerEvents: 'none',   // Keeps elementFromPoint on the rows below
+        opacity: '0.9',
+    },
+    DRAG_GHOST_COUNT: {
+        marginLeft: '8px',
+        padding: '0 6px',
+        fontSize: '11px',
+        color: '#007acc',
+        backgroundColor: '#ffffff',
+        borderRadius: '8px',
+    },
+    DROP_TARGET_HOVER: {
+        outline: '2px dashed #007acc',
+        outlineOffset: '-2px',
+    },
     DROP_INDICATOR: {
         position: 'absolute',
         height: '4px',
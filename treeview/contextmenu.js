@@ -0,0 +1,337 @@
+// Copyright (c) 2024 Matthijs Keuper
+// SPDX-License-Identifier: MIT
+/**
+ * Context Menu for the TreeView
+ *
+ * Features:
+ * - Nested submenus
+ * - Disabled items, separators and shortcut hints
+ * - Keyboard navigation (arrows, Home/End, Enter/Space, Escape, first letter)
+ * - Closes on outside click, Escape, Tab or after an item was activated
+ *
+ * Item Structure:
+ * {
+ *   label: string,          // Display text
+ *   icon?: string,          // SVG markup or text shown before the label
+ *   shortcut?: string,      // Hint shown on the right
+ *   disabled?: boolean,     // Shown dimmed and cannot be activated
+ *   action?: Function,      // Called after the menu closed
+ *   submenu?: Array,        // Nested items
+ * }
+ * A separator is written as '-' or { separator: true }.
+ *
+ * @class ContextMenu
+ */
+
+import { STYLES } from './constants.js';
+
+export class ContextMenu {
+
+    /**
+     * @param {Object} options
+     * @param {Array} options.items - Menu items
+     * @param {number} options.x - Left position in viewport coordinates
+     * @param {number} options.y - Top position in viewport coordinates
+     * @param {Function} [options.onClose] - Called when the menu closes
+     * @param {HTMLElement} [options.returnFocus] - Element focused again when the menu closes from the keyboard
+     */
+    constructor(options = {}) {
+        this.items = options.items || [];
+        this.parentMenu = options.parentMenu || null;
+        this.onClose = options.onClose || null;
+        this.returnFocus = options.returnFocus || document.activeElement;
+        this.submenu = null;
+        this.itemElements = [];
+        this.activeIndex = -1;
+        this.closed = false;
+
+        this._createElement();
+        this._position(options.x || 0, options.y || 0);
+        if (!this.parentMenu) {
+            this._attachGlobalListeners();
+        }
+        this._focusItem(this._findEnabled(-1, 1));
+    }
+
+    _createElement() {
+        this.element = document.createElement('div');
+        this.element.className = 'treeview-context-menu';
+        this.element.setAttribute('role', 'menu');
+        this.element.tabIndex = -1;
+        Object.assign(this.element.style, STYLES.MENU);
+
+        this.items.forEach((item, index) => {
+            if (ContextMenu.isSeparator(item)) {
+                const separator = document.createElement('div');
+                separator.setAttribute('role', 'separator');
+                Object.assign(separator.style, STYLES.MENU_SEPARATOR);
+                this.element.appendChild(separator);
+                this.itemElements.push(null);
+                return;
+            }
+            this.itemElements.push(this._createItemElement(item, index));
+        });
+
+        this.element.addEventListener('keydown', (e) => this._handleKeyDown(e));
+        this.element.addEventListener('contextmenu', (e) => e.preventDefault());
+        document.body.appendChild(this.element);
+    }
+
+    _createItemElement(item, index) {
+        const element = document.createElement('div');
+        element.className = 'treeview-context-menu-item';
+        element.setAttribute('role', 'menuitem');
+        element.tabIndex = -1;
+        Object.assign(element.style, STYLES.MENU_ITEM);
+        if (item.disabled) {
+            element.setAttribute('aria-disabled', 'true');
+            Object.assign(element.style, STYLES.MENU_ITEM_DISABLED);
+        }
+        if (item.submenu) {
+            element.setAttribute('aria-haspopup', 'menu');
+        }
+
+        const icon = document.createElement('span');
+        Object.assign(icon.style, STYLES.MENU_ICON);
+        if (item.icon && item.icon.includes('<svg')) {
+            icon.innerHTML = item.icon;
+            const svg = icon.querySelector('svg');
+            if (svg) {
+                svg.style.width = '12px';
+                svg.style.height = '12px';
+            }
+        } else if (item.icon) {
+            icon.textContent = item.icon;
+        }
+        element.appendChild(icon);
+
+        const label = document.createElement('span');
+        label.textContent = item.label;
+        label.style.flex = '1';
+        element.appendChild(label);
+
+        const hint = item.submenu ? '▸' : item.shortcut;
+        if (hint) {
+            const shortcut = document.createElement('span');
+            shortcut.textContent = hint;
+            Object.assign(shortcut.style, STYLES.MENU_SHORTCUT);
+            element.appendChild(shortcut);
+        }
+
+        element.addEventListener('mouseenter', () => {
+            this._focusItem(index);
+            if (item.submenu && !item.disabled) {
+                this._openSubmenu(index, false);
+            } else {
+                this._closeSubmenu();
+            }
+        });
+        element.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this._activate(index);
+        });
+
+        this.element.appendChild(element);
+        return element;
+    }
+
+    /**
+     * Place the menu at the given point, keeping it inside the viewport
+     * @private
+     */
+    _position(x, y) {
+        this.element.style.left = `${x}px`;
+        this.element.style.top = `${y}px`;
+        const rect = this.element.getBoundingClientRect();
+        if (rect.right > window.innerWidth) {
+            this.element.style.left = `${Math.max(0, window.innerWidth - rect.width)}px`;
+        }
+        if (rect.bottom > window.innerHeight) {
+            this.element.style.top = `${Math.max(0, window.innerHeight - rect.height)}px`;
+        }
+    }
+
+    _attachGlobalListeners() {
+        this._onPointerDown = (e) => {
+            if (!this.contains(e.target)) {
+                this.close({ restoreFocus: false });
+            }
+        };
+        this._onWindowChange = () => this.close({ restoreFocus: false });
+        document.addEventListener('mousedown', this._onPointerDown, true);
+        window.addEventListener('blur', this._onWindowChange);
+        window.addEventListener('resize', this._onWindowChange);
+    }
+
+    _detachGlobalListeners() {
+        if (!this._onPointerDown) return;
+        document.removeEventListener('mousedown', this._onPointerDown, true);
+        window.removeEventListener('blur', this._onWindowChange);
+        window.removeEventListener('resize', this._onWindowChange);
+        this._onPointerDown = null;
+    }
+
+    /**
+     * Check whether an element belongs to this menu or one of its submenus
+     */
+    contains(target) {
+        return this.element.contains(target) || (this.submenu ? this.submenu.contains(target) : false);
+    }
+
+    _findEnabled(from, step) {
+        const count = this.items.length;
+        for (let i = 1; i <= count; i++) {
+            const index = (from + step * i + count * 2) % count;
+            const item = this.items[index];
+            if (!ContextMenu.isSeparator(item) && !item.disabled) {
+                return index;
+            }
+        }
+        return -1;
+    }
+
+    _focusItem(index) {
+        if (this.activeIndex >= 0 && this.itemElements[this.activeIndex]) {
+            this.itemElements[this.activeIndex].style.backgroundColor = '';
+        }
+        this.activeIndex = index;
+        const element = this.itemElements[index];
+        if (element) {
+            Object.assign(element.style, STYLES.MENU_ITEM_ACTIVE);
+            element.focus({ preventScroll: true });
+        } else {
+            this.element.focus({ preventScroll: true });
+        }
+    }
+
+    _openSubmenu(index, focusFirst = true) {
+        const item = this.items[index];
+        if (this.submenu && this.submenu.sourceIndex === index) {
+            if (focusFirst) this.submenu._focusItem(this.submenu._findEnabled(-1, 1));
+            return;
+        }
+        this._closeSubmenu();
+        const rect = this.itemElements[index].getBoundingClientRect();
+        this.submenu = new ContextMenu({
+            items: item.submenu,
+            x: rect.right,
+            y: rect.top,
+            parentMenu: this,
+            returnFocus: this.itemElements[index]
+        });
+        this.submenu.sourceIndex = index;
+        if (!focusFirst) {
+            // Opened by hovering: keep keyboard focus on the parent item
+            this._focusItem(index);
+        }
+    }
+
+    _closeSubmenu() {
+        if (this.submenu) {
+            this.submenu.close({ restoreFocus: false });
+            this.submenu = null;
+        }
+    }
+
+    _activate(index) {
+        const item = this.items[index];
+        if (!item || ContextMenu.isSeparator(item) || item.disabled) return;
+        if (item.submenu) {
+            this._openSubmenu(index);
+            return;
+        }
+        // Close first so actions that move focus (e.g. rename) keep it
+        this.getRoot().close({ restoreFocus: true });
+        if (item.action) {
+            item.action();
+        }
+    }
+
+    _handleKeyDown(event) {
+        const item = this.items[this.activeIndex];
+        switch (event.key) {
+            case 'ArrowDown':
+                this._focusItem(this._findEnabled(this.activeIndex, 1));
+                break;
+            case 'ArrowUp':
+                this._focusItem(this._findEnabled(this.activeIndex, -1));
+                break;
+            case 'Home':
+                this._focusItem(this._findEnabled(-1, 1));
+                break;
+            case 'End':
+                this._focusItem(this._findEnabled(this.items.length, -1));
+                break;
+            case 'ArrowRight':
+                if (item?.submenu && !item.disabled) {
+                    this._openSubmenu(this.activeIndex);
+                }
+                break;
+            case 'ArrowLeft':
+                if (this.parentMenu) {
+                    this.close({ restoreFocus: true });
+                }
+                break;
+            case 'Enter':
+            case ' ':
+                this._activate(this.activeIndex);
+                break;
+            case 'Escape':
+                this.close({ restoreFocus: true });
+                break;
+            case 'Tab':
+                this.getRoot().close({ restoreFocus: true });
+                break;
+            default:
+                if (event.key.length === 1) {
+                    this._focusByLetter(event.key.toLowerCase());
+                } else {
+                    return;
+                }
+        }
+        event.preventDefault();
+        event.stopPropagation();
+    }
+
+    _focusByLetter(letter) {
+        const count = this.items.length;
+        for (let i = 1; i <= count; i++) {
+            const index = (this.activeIndex + i) % count;
+            const item = this.items[index];
+            if (!ContextMenu.isSeparator(item) && !item.disabled && item.label.toLowerCase().startsWith(letter)) {
+                this._focusItem(index);
+                return;
+            }
+        }
+    }
+
+    getRoot() {
+        return this.parentMenu ? this.parentMenu.getRoot() : this;
+    }
+
+    /**
+     * Close the menu and its submenus
+     * @param {Object} [options]
+     * @param {boolean} [options.restoreFocus=true] - Focus the element that had focus before the menu opened
+     */
+    close({ restoreFocus = true } = {}) {
+        if (this.closed) return;
+        this.closed = true;
+        this._closeSubmenu();
+        this.element.remove();
+        this._detachGlobalListeners();
+        if (this.parentMenu && this.parentMenu.submenu === this) {
+            this.parentMenu.submenu = null;
+        }
+        if (restoreFocus && this.returnFocus?.isConnected) {
+            this.returnFocus.focus({ preventScroll: true });
+        }
+        if (this.onClose) {
+            this.onClose();
+        }
+    }
+
+    static isSeparator(item) {
+        return item === '-' || item?.separator === true;
+    }
+}
@@ -0,0 +1,462 @@
+// Copyright (c) 2024 Matthijs Keuper
+// SPDX-License-Identifier: MIT
+/**
+ * Import and export of tree data
+ *
+ * Converts between the nested node arrays used by TreeView and TreeModel and
+ * other formats:
+ * - JSON with only the user data (UI state such as `expanded` stripped)
+ * - Flat parent-id lists, as returned by databases
+ * - Indented text outlines
+ * - CSV with a path column
+ *
+ * All functions are pure: exports never modify the nodes, imports return new
+ * node arrays for setData(). Toggle values (node.toggles) survive every format
+ * except outlines, which only hold labels. Rows that cannot be placed are
+ * reported with console.warn and skipped or added at the root.
+ */
+
+import { generateNodeId } from './helpers.js';
+
+// Node properties that describe the view rather than the data
+export const UI_FIELDS = ['expanded'];
+
+// CSV column prefix of toggle values, e.g. 'toggles.visible'
+const TOGGLE_COLUMN = 'toggles.';
+
+// CSV columns that are always text: written as they are and never read as JSON
+const TEXT_COLUMNS = ['id', 'type', 'label'];
+
+// Cells that hold a JSON value rather than plain text
+const JSON_CELL = /^(true|false|null|-?\d+(\.\d+)?([eE][+-]?\d+)?|[[{"].*)$/s;
+
+// JSON
+
+/**
+ * Deep copy of the data without UI fields
+ * @param {Array} data - Root node array
+ * @param {Object} [options]
+ * @param {Array<string>} [options.omit] - More properties to leave out
+ * @returns {Array}
+ */
+export function toPlainData(data, { omit = [] } = {}) {
+    const skip = new Set([...UI_FIELDS, ...omit]);
+    const copyNode = (node) => {
+        const copy = {};
+        Object.entries(node).forEach(([key, value]) => {
+            if (skip.has(key) || value === undefined) return;
+            copy[key] = key === 'children' && Array.isArray(value) ? value.map(copyNode) : cloneValue(value);
+        });
+        return copy;
+    };
+    return data.map(copyNode);
+}
+
+/**
+ * Serialize the user data as JSON
+ * @param {Array} data - Root node array
+ * @param {Object} [options]
+ * @param {Array<string>} [options.omit] - More properties to leave out
+ * @param {number|string} [options.space=2] - Indentation passed to JSON.stringify
+ * @returns {string}
+ */
+export function toJSON(data, { omit = [], space = 2 } = {}) {
+    return JSON.stringify(toPlainData(data, { omit }), null, space);
+}
+
+/**
+ * Parse nodes from JSON. Throws like JSON.parse on invalid JSON; a single
+ * node object is accepted as a one-node tree.
+ * @param {string} text
+ * @returns {Array} Root node array
+ */
+export function fromJSON(text) {
+    const value = JSON.parse(text);
+    if (Array.isArray(value)) return value;
+    if (value !== null && typeof value === 'object') return [value];
+    console.warn('Expected a JSON array of nodes, got:', value);
+    return [];
+}
+
+// Parent-id lists
+
+/**
+ * Flatten the tree into rows that reference their parent, in tree order
+ * (siblings keep their order in the list)
+ * @param {Array} data - Root node array
+ * @param {Object} [options]
+ * @param {string} [options.idKey='id'] - Row property that holds the id
+ * @param {string} [options.parentKey='parentId'] - Row property that holds the parent id (null for root nodes)
+ * @param {Array<string>} [options.omit] - More properties to leave out
+ * @returns {Array<Object>}
+ */
+export function toParentList(data, { idKey = 'id', parentKey = 'parentId', omit = [] } = {}) {
+    const skip = new Set([...UI_FIELDS, ...omit, 'children', 'id']);
+    const rows = [];
+    const visit = (nodes, parentId) => nodes.forEach(node => {
+        const id = node.id ?? generateNodeId();
+        const row = { [idKey]: id, [parentKey]: parentId };
+        Object.entries(node).forEach(([key, value]) => {
+            if (!skip.has(key) && value !== undefined) {
+                row[key] = cloneValue(value);
+            }
+        });
+        rows.push(row);
+        if (Array.isArray(node.children)) {
+            visit(node.children, id);
+        }
+    });
+    visit(data, null);
+    return rows;
+}
+
+/**
+ * Build the tree from rows that reference their parent. Rows whose parent is
+ * missing, and rows that would make a cycle, become root nodes.
+ * @param {Array<Object>} rows
+ * @param {Object} [options]
+ * @param {string} [options.idKey='id'] - Row property that holds the id
+ * @param {string} [options.parentKey='parentId'] - Row property that holds the parent id
+ * @param {string} [options.orderKey] - Numeric row property siblings are sorted by (otherwise the row order)
+ * @returns {Array} Root node array
+ */
+export function fromParentList(rows, { idKey = 'id', parentKey = 'parentId', orderKey = null } = {}) {
+    const entries = new Map(); // id -> { node, parentId }
+    rows.forEach((row, index) => {
+        const id = row[idKey];
+        if (id === undefined || id === null || id === '') {
+            console.warn(`Skipping row ${index} without '${idKey}'`);
+            return;
+        }
+        if (entries.has(String(id))) {
+            console.warn(`Skipping row ${index} with duplicate id '${id}'`);
+            return;
+        }
+        const node = {};
+        Object.entries(row).forEach(([key, value]) => {
+            if (key === idKey) {
+                node.id = String(id);
+            } else if (key !== parentKey && key !== 'children') {
+                node[key] = cloneValue(value);
+            }
+        });
+        const parentId = row[parentKey];
+        entries.set(node.id, { node, parentId: parentId === undefined || parentId === null || parentId === '' ? null : String(parentId) });
+    });
+
+    // Whether walking up from a node leads back to it
+    const isInCycle = (id) => {
+        const seen = new Set();
+        for (let current = entries.get(id).parentId; current !== null && entries.has(current); current = entries.get(current).parentId) {
+            if (current === id) return true;
+            if (seen.has(current)) return false; // A cycle further up, reported for its own nodes
+            seen.add(current);
+        }
+        return false;
+    };
+
+    const roots = [];
+    entries.forEach(({ node, parentId }) => {
+        const parent = parentId !== null ? entries.get(parentId) : null;
+        if (parentId !== null && !parent) {
+            console.warn(`Parent '${parentId}' of '${node.id}' not found, adding it as a root node`);
+        } else if (parent && isInCycle(node.id)) {
+            console.warn(`'${node.id}' is its own ancestor, adding it as a root node`);
+            entries.get(node.id).parentId = null;
+        }
+        if (parent && entries.get(node.id).parentId !== null) {
+            (parent.node.children ||= []).push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+
+    if (orderKey) {
+        const sortSiblings = (nodes) => {
+            nodes.sort((a, b) => (a[orderKey] ?? Infinity) - (b[orderKey] ?? Infinity));
+            nodes.forEach(node => node.children && sortSiblings(node.children));
+        };
+        sortSiblings(roots);
+    }
+    return roots;
+}
+
+// Outlines
+
+/**
+ * Write the labels as an indented outline, one node per line
+ * @param {Array} data - Root node array
+ * @param {Object} [options]
+ * @param {string} [options.indent='  '] - Indentation per level
+ * @param {Function} [options.label] - (node) => text of a line, defaults to the label
+ * @returns {string}
+ */
+export function toOutline(data, { indent = '  ', label = (node) => node.label ?? '' } = {}) {
+    const lines = [];
+    const visit = (nodes, depth) => nodes.forEach(node => {
+        lines.push(indent.repeat(depth) + String(label(node)).replace(/\s*[\r\n]+\s*/g, ' '));
+        if (Array.isArray(node.children)) {
+            visit(node.children, depth + 1);
+        }
+    });
+    visit(data, 0);
+    return lines.join('\n');
+}
+
+/**
+ * Read an indented outline. A line indented deeper than the one above it is
+ * its child; any consistent indentation works (tabs count as tabSize spaces).
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.tabSize=4]
+ * @param {boolean} [options.bullets=false] - Strip list markers ('- ', '* ', '+ ') from the labels
+ * @param {string} [options.type] - Type given to every node
+ * @returns {Array} Root node array, ids are assigned when the data is set
+ */
+export function fromOutline(text, { tabSize = 4, bullets = false, type } = {}) {
+    const roots = [];
+    const stack = []; // { width, node } of the open ancestors
+    text.split(/\r?\n/).forEach(line => {
+        if (line.trim() === '') return;
+        const whitespace = line.match(/^\s*/)[0];
+        const width = [...whitespace].reduce((sum, char) => sum + (char === '\t' ? tabSize : 1), 0);
+        let label = line.trim();
+        if (bullets) {
+            label = label.replace(/^[-*+]\s+/, '');
+        }
+        const node = type ? { label, type } : { label };
+        while (stack.length > 0 && stack[stack.length - 1].width >= width) {
+            stack.pop();
+        }
+        if (stack.length > 0) {
+            (stack[stack.length - 1].node.children ||= []).push(node);
+        } else {
+            roots.push(node);
+        }
+        stack.push({ width, node });
+    });
+    return roots;
+}
+
+// CSV
+
+/**
+ * Write one row per node, in tree order, with the labels of the node and its
+ * ancestors in a path column. Toggle values go into 'toggles.<key>' columns;
+ * values other than text are written as JSON. id, type and label are always
+ * written as text.
+ * @param {Array} data - Root node array
+ * @param {Object} [options]
+ * @param {Array<string>} [options.columns] - Columns to write (default: path, id, type, every other property, the toggles)
+ * @param {string} [options.separator=','] - Cell separator
+ * @param {string} [options.pathSeparator='/'] - Separator between labels in the path (escaped with a backslash inside labels)
+ * @param {Array<string>} [options.omit] - More properties to leave out of the default columns
+ * @returns {string}
+ */
+export function toCSV(data, { columns = null, separator = ',', pathSeparator = '/', omit = [] } = {}) {
+    const rows = [];
+    const visit = (nodes, parentPath) => nodes.forEach(node => {
+        const path = [...parentPath, escapePathSegment(String(node.label ?? ''), pathSeparator)];
+        rows.push({ node, path: path.join(pathSeparator) });
+        if (Array.isArray(node.children)) {
+            visit(node.children, path);
+        }
+    });
+    visit(data, []);
+
+    if (!columns) {
+        const skip = new Set([...UI_FIELDS, ...omit, 'children', 'label', 'toggles', 'path', 'id', 'type']);
+        const fields = new Set();
+        const toggles = new Set();
+        rows.forEach(({ node }) => {
+            Object.keys(node).forEach(key => !skip.has(key) && fields.add(key));
+            Object.keys(node.toggles || {}).forEach(key => toggles.add(TOGGLE_COLUMN + key));
+        });
+        columns = ['path', 'id', 'type', ...fields, ...toggles];
+    }
+
+    const lines = [columns.map(column => encodeCell(column, separator)).join(separator)];
+    rows.forEach(({ node, path }) => {
+        const cells = columns.map(column => {
+            if (column === 'path') return path;
+            if (TEXT_COLUMNS.includes(column)) return node[column] == null ? '' : String(node[column]);
+            const value = column.startsWith(TOGGLE_COLUMN)
+                ? node.toggles?.[column.slice(TOGGLE_COLUMN.length)]
+                : node[column];
+            return formatValue(value);
+        });
+        lines.push(cells.map(cell => encodeCell(cell, separator)).join(separator));
+    });
+    return lines.join('\r\n');
+}
+
+/**
+ * Read nodes from CSV written by toCSV or another tool. The parent of a row
+ * is the latest row above it whose path is the row's path without its last
+ * label; missing ancestors are created from the path.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.separator=','] - Cell separator
+ * @param {string} [options.pathSeparator='/'] - Separator between labels in the path
+ * @param {string} [options.pathColumn='path'] - Header of the path column
+ * @param {boolean} [options.parseValues=true] - Read numbers, booleans, null and JSON cells as values instead of text
+ * @returns {Array} Root node array
+ */
+export function fromCSV(text, { separator = ',', pathSeparator = '/', pathColumn = 'path', parseValues = true } = {}) {
+    const [header, ...records] = parseCSV(text, separator);
+    const pathIndex = header ? header.indexOf(pathColumn) : -1;
+    if (pathIndex < 0) {
+        console.warn(`CSV has no '${pathColumn}' column`);
+        return [];
+    }
+
+    const roots = [];
+    const byPath = new Map(); // Joined path -> latest node with that path
+    const created = new Set(); // Ancestors created from a path, filled in by a later row with that path
+    const getChildren = (segments) => {
+        if (segments.length === 0) return roots;
+        const key = segments.join(pathSeparator);
+        if (!byPath.has(key)) {
+            const ancestor = { label: unescapePathSegment(segments[segments.length - 1]) };
+            getChildren(segments.slice(0, -1)).push(ancestor);
+            byPath.set(key, ancestor);
+            created.add(ancestor);
+        }
+        const parent = byPath.get(key);
+        return (parent.children ||= []);
+    };
+
+    records.forEach((cells, index) => {
+        const segments = splitPath(cells[pathIndex] ?? '', pathSeparator);
+        if (segments.length === 0) {
+            console.warn(`Skipping CSV row ${index + 1} without a path`);
+            return;
+        }
+        const node = { label: unescapePathSegment(segments[segments.length - 1]) };
+        header.forEach((column, i) => {
+            const cell = cells[i] ?? '';
+            if (i === pathIndex || cell === '') return;
+            if (TEXT_COLUMNS.includes(column)) {
+                node[column] = cell;
+            } else if (column.startsWith(TOGGLE_COLUMN)) {
+                (node.toggles ||= {})[column.slice(TOGGLE_COLUMN.length)] = parseValues ? parseValue(cell) : cell;
+            } else {
+                node[column] = parseValues ? parseValue(cell) : cell;
+            }
+        });
+        const key = segments.join(pathSeparator);
+        const ancestor = byPath.get(key);
+        if (created.has(ancestor)) {
+            created.delete(ancestor);
+            Object.assign(ancestor, node);
+            return;
+        }
+        getChildren(segments.slice(0, -1)).push(node);
+        byPath.set(key, node);
+    });
+    return roots;
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells may contain
+ * separators, quotes written twice and line breaks)
+ */
+function parseCSV(text, separator) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const source = text.replace(/^\uFEFF/, ''); // Byte order mark written by spreadsheet programs
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+}
+
+function encodeCell(text, separator) {
+    return text.includes(separator) || /["\r\n]/.test(text) || text !== text.trim()
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+}
+
+/**
+ * Text of a cell: strings as they are (unless they would read back as a
+ * value), everything else as JSON, undefined as an empty cell
+ */
+function formatValue(value) {
+    if (value === undefined) return '';
+    if (typeof value === 'string') {
+        return JSON_CELL.test(value) ? JSON.stringify(value) : value;
+    }
+    return JSON.stringify(value);
+}
+
+function parseValue(cell) {
+    if (!JSON_CELL.test(cell)) return cell;
+    try {
+        return JSON.parse(cell);
+    } catch {
+        return cell;
+    }
+}
+
+function escapePathSegment(label, pathSeparator) {
+    return label.replace(/\\/g, '\\\\').split(pathSeparator).join(`\\${pathSeparator}`);
+}
+
+function unescapePathSegment(segment) {
+    return segment.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Split a path at separators that are not escaped; segments stay escaped
+ */
+function splitPath(path, pathSeparator) {
+    const segments = [];
+    let segment = '';
+    for (let i = 0; i < path.length; i++) {
+        if (path[i] === '\\' && i + 1 < path.length) {
+            segment += path[i] + path[i + 1];
+            i++;
+        } else if (path.startsWith(pathSeparator, i)) {
+            segments.push(segment);
+            segment = '';
+            i += pathSeparator.length - 1;
+        } else {
+            segment += path[i];
+        }
+    }
+    segments.push(segment);
+    return segments.length === 1 && segments[0] === '' ? [] : segments;
+}
+
+function cloneValue(value) {
+    return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
@@ -27,10 +27,33 @@ export function visitAllNodes(nodes, basePath, cb) {
     });
 }
 
+/**
+ * Flatten the rows that are currently visible (children of collapsed nodes are skipped)
+ * @param {Array} nodes - Node array to flatten
+ * @param {Object} [options]
+ * @param {Function} [options.isExpanded] - `(node) => boolean`, defaults to `node.expanded === true`
+ * @param {Function} [options.getChildren] - `(node) => Array` of displayed children, defaults to `node.children`
+ * @returns {Array<{node: Object, level: number, parent: Object|null}>}
+ */
+export function flattenVisibleNodes(nodes, options = {}, level = 0, parent = null, rows = []) {
+    const isExpanded = options.isExpanded || (node => node.expanded === true);
+    const getChildren = options.getChildren || (node => node.children || []);
+    nodes.forEach(node => {
+        rows.push({ node, level, parent });
+        if (isExpanded(node)) {
+            const children = getChildren(node);
+            if (children.length > 0) {
+                flattenVisibleNodes(children, options, level + 1, node, rows);
+            }
+        }
+    });
+    return rows;
+}
+
 export function debugNodes(nodes, basePath = '') {
     nodes.forEach((node, index) => {
         const path = basePath ? `${basePath}.${index}` : `${index}`;
-        console.log(`Path: ${path}, Label: ${node.label}, Expanded: ${node.expanded}, Has Children: ${node.children ? node.children.length : 0}`);
+        console.log(`Path: ${path}, Id: ${node.id}, Label: ${node.label}, Expanded: ${node.expanded}, Has Children: ${node.children ? node.children.length : 0}`);
         if (node.children) {
             debugNodes(node.children, path);
         }
@@ -181,3 +204,225 @@ export function validateDragDropOperation(data, sourcePath, targetPath, nodeType
 
     return { valid: true, reason: null };
 }
+
+// ---------------------------------------------------------------------------
+// Id based helpers
+//
+// Nodes are identified by their `id`. The functions below maintain an index
+// (id -> { node, parent }) so lookups do not depend on the position of a node
+// in the tree. The path based helpers above are kept for compatibility.
+// ---------------------------------------------------------------------------
+
+let autoIdCounter = 0;
+
+export function generateNodeId(prefix = 'node') {
+    autoIdCounter += 1;
+    return `${prefix}_${Date.now().toString(36)}_${autoIdCounter}`;
+}
+
+/**
+ * Build an id index for the tree, assigning ids to nodes that have none.
+ * Duplicate ids are replaced with a generated one so every entry stays unique.
+ * @param {Array} data - Root node array
+ * @returns {Map<string, {node: Object, parent: Object|null}>}
+ */
+export function buildNodeIndex(data, index = new Map()) {
+    index.clear();
+    const visit = (nodes, parent) => {
+        nodes.forEach(node => {
+            if (node.id === undefined || node.id === null || node.id === '') {
+                node.id = generateNodeId();
+            } else if (index.has(String(node.id))) {
+                const newId = generateNodeId();
+                console.warn(`Duplicate node id '${node.id}' replaced with '${newId}'`);
+                node.id = newId;
+            }
+            node.id = String(node.id);
+            index.set(node.id, { node, parent });
+            if (node.children) {
+                visit(node.children, node);
+            }
+        });
+    };
+    visit(data, null);
+    return index;
+}
+
+/**
+ * Add a node and its descendants to an existing index
+ */
+export function indexSubtree(index, node, parent) {
+    if (node.id === undefined || node.id === null || node.id === '' || index.has(String(node.id))) {
+        node.id = generateNodeId();
+    }
+    node.id = String(node.id);
+    index.set(node.id, { node, parent });
+    if (node.children) {
+        node.children.forEach(child => indexSubtree(index, child, node));
+    }
+}
+
+/**
+ * Remove a node and its descendants from an index
+ */
+export function unindexSubtree(index, node) {
+    index.delete(node.id);
+    if (node.children) {
+        node.children.forEach(child => unindexSubtree(index, child));
+    }
+}
+
+/**
+ * Get the sibling array that contains the node with the given id
+ */
+export function getSiblingArray(data, index, id) {
+    const entry = index.get(id);
+    if (!entry) return null;
+    return entry.parent ? entry.parent.children : data;
+}
+
+/**
+ * Get the ids of all ancestors of a node, nearest first
+ */
+export function getAncestorIds(index, id) {
+    const ancestors = [];
+    let entry = index.get(id);
+    while (entry && entry.parent) {
+        ancestors.push(entry.parent.id);
+        entry = index.get(entry.parent.id);
+    }
+    return ancestors;
+}
+
+/**
+ * Check whether `id` is `ancestorId` or one of its descendants
+ */
+export function isSameOrDescendant(index, id, ancestorId) {
+    return id === ancestorId || getAncestorIds(index, id).includes(ancestorId);
+}
+
+/**
+ * Compute the dotted index path of a node (compatibility with path based APIs)
+ */
+export function getPathById(data, index, id) {
+    const parts = [];
+    let entry = index.get(id);
+    while (entry) {
+        const siblings = entry.parent ? entry.parent.children : data;
+        parts.unshift(siblings.indexOf(entry.node));
+        entry = entry.parent ? index.get(entry.parent.id) : null;
+    }
+    return parts.length ? parts.join('.') : null;
+}
+
+/**
+ * Get the node that receives the source for a given drop position
+ */
+export function getDropParent(data, index, targetId, position = 'inside') {
+    const entry = index.get(targetId);
+    if (!entry) return null;
+    if (position === 'before' || position === 'after') {
+        return entry.parent || { children: data, type: 'root' };
+    }
+    return entry.node;
+}
+
+export function validateNodeMove(data, index, sourceId, targetId, nodeTypes, position = 'inside') {
+    if (!sourceId || !targetId || sourceId === targetId) {
+        return { valid: false, reason: 'Invalid source or target node' };
+    }
+
+    const source = index.get(sourceId);
+    const dropTarget = getDropParent(data, index, targetId, position);
+    if (!source || !dropTarget) {
+        return { valid: false, reason: 'Source or target node not found' };
+    }
+
+    if (isSameOrDescendant(index, targetId, sourceId)) {
+        return { valid: false, reason: 'Cannot drop node into its own descendant' };
+    }
+
+    if (!canNodeAcceptChild(dropTarget, source.node, nodeTypes)) {
+        const sourceType = source.node.type || 'custom';
+        const targetType = dropTarget.type || 'custom';
+        const allowedChildren = dropTarget.allowedChildren || nodeTypes[targetType]?.allowedChildren || [];
+        return { valid: false, reason: `Node type '${targetType}' cannot accept children of type '${sourceType}'. Allowed: [${allowedChildren.join(', ')}]` };
+    }
+
+    return { valid: true, reason: null };
+}
+
+/**
+ * Move a node relative to a target node. The node object itself is moved,
+ * so its id and any references held by the application stay valid.
+ */
+export function moveNodeById(data, index, sourceId, targetId, position = 'inside') {
+    const source = index.get(sourceId);
+    const target = index.get(targetId);
+    if (!source || !target) {
+        console.error('Move failed, node not found:', { sourceId, targetId });
+        return false;
+    }
+
+    const sourceSiblings = getSiblingArray(data, index, sourceId);
+    sourceSiblings.splice(sourceSiblings.indexOf(source.node), 1);
+
+    if (position === 'before' || position === 'after') {
+        const targetSiblings = getSiblingArray(data, index, targetId);
+        let insertIndex = targetSiblings.indexOf(target.node);
+        if (position === 'after') {
+            insertIndex += 1;
+        }
+        targetSiblings.splice(insertIndex, 0, source.node);
+        source.parent = target.parent;
+    } else {
+        if (!target.node.children) {
+            target.node.children = [];
+        }
+        target.node.children.push(source.node);
+        target.node.expanded = true; // Expand to show the new child
+        source.parent = target.node;
+    }
+
+    return true;
+}
+
+/**
+ * Reduce a list of ids to the ones whose ancestors are not in the list, so a
+ * subtree is only handled once when both a node and its descendants are given
+ */
+export function getTopLevelIds(index, ids) {
+    const idSet = new Set(ids);
+    return Array.from(idSet).filter(id => index.has(id) && !getAncestorIds(index, id).some(ancestorId => idSet.has(ancestorId)));
+}
+
+/**
+ * Deep copy a node and its descendants. The copy gets fresh ids and shares no
+ * objects with the original. Only JSON serializable properties are copied.
+ */
+export function cloneSubtree(node) {
+    const copy = JSON.parse(JSON.stringify(node));
+    const assignIds = (current) => {
+        current.id = generateNodeId(current.type || 'node');
+        if (current.children) {
+            current.children.forEach(assignIds);
+        }
+    };
+    assignIds(copy);
+    return copy;
+}
+
+/**
+ * Sort ids into the order in which the nodes appear in the tree (depth first)
+ */
+export function sortIdsByTreeOrder(data, index, ids) {
+    const paths = new Map(ids.map(id => [id, (getPathById(data, index, id) || '').split('.').map(Number)]));
+    return [...ids].sort((a, b) => {
+        const pathA = paths.get(a);
+        const pathB = paths.get(b);
+        for (let i = 0; i < Math.min(pathA.length, pathB.length); i++) {
+            if (pathA[i] !== pathB[i]) return pathA[i] - pathB[i];
+        }
+        return pathA.length - pathB.length;
+    });
+}
@@ -0,0 +1,159 @@
+// Copyright (c) 2024 Matthijs Keuper
+// SPDX-License-Identifier: MIT
+/**
+ * Undo/redo history for the TreeView
+ *
+ * The history stores entries, each a transaction of one or more commands.
+ * Commands are plain records ({ type, label, ... }); applying them is up to
+ * the owner, which passes an apply function to undo() and redo().
+ *
+ * Entry Structure:
+ * {
+ *   label: string,          // Description shown to the user ("Move", "Delete", ...)
+ *   commands: Array,        // Commands in the order they were recorded
+ * }
+ *
+ * @class TreeHistory
+ */
+
+export class TreeHistory {
+
+    /**
+     * @param {Object} options
+     * @param {number} [options.limit=100] - Maximum number of undo entries
+     * @param {Function} [options.onChange] - Called with the history state after every change
+     */
+    constructor(options = {}) {
+        this.limit = options.limit ?? 100;
+        this.onChange = options.onChange || (() => {});
+        this.undoStack = [];
+        this.redoStack = [];
+        this._transaction = null;
+        this._depth = 0; // Nesting level of begin()/end()
+    }
+
+    /**
+     * Record a command, as part of the open transaction if there is one
+     */
+    record(command) {
+        if (this._transaction) {
+            this._transaction.commands.push(command);
+            return;
+        }
+        this._push({ label: command.label, commands: [command] });
+    }
+
+    /**
+     * Start grouping commands into one entry. Transactions can be nested; only
+     * the outermost one creates an entry, using its label.
+     */
+    begin(label) {
+        if (this._depth === 0) {
+            this._transaction = { label, commands: [] };
+        }
+        this._depth += 1;
+    }
+
+    /**
+     * Close a transaction started with begin(). Empty transactions are dropped.
+     */
+    end() {
+        if (this._depth === 0) {
+            console.warn('TreeHistory.end() called without a matching begin()');
+            return;
+        }
+        this._depth -= 1;
+        if (this._depth > 0) return;
+        const transaction = this._transaction;
+        this._transaction = null;
+        if (transaction.commands.length > 0) {
+            this._push(transaction);
+        }
+    }
+
+    isInTransaction() {
+        return this._depth > 0;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Undo the last entry
+     * @param {Function} apply - Called with the entry; must revert its commands
+     * @returns {boolean} True if an entry was undone
+     */
+    undo(apply) {
+        return this._move(this.undoStack, this.redoStack, apply, 'undo');
+    }
+
+    /**
+     * Redo the last undone entry
+     * @param {Function} apply - Called with the entry; must apply its commands again
+     * @returns {boolean} True if an entry was redone
+     */
+    redo(apply) {
+        return this._move(this.redoStack, this.undoStack, apply, 'redo');
+    }
+
+    /**
+     * Forget all entries
+     */
+    clear() {
+        if (this.undoStack.length === 0 && this.redoStack.length === 0) return;
+        this.undoStack = [];
+        this.redoStack = [];
+        this._notify('clear', null);
+    }
+
+    /**
+     * Current state, as passed to onChange
+     * @returns {{canUndo: boolean, canRedo: boolean, undoLabel: string|null, redoLabel: string|null, undoCount: number, redoCount: number}}
+     */
+    getState() {
+        return {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoLabel: this.undoStack[this.undoStack.length - 1]?.label ?? null,
+            redoLabel: this.redoStack[this.redoStack.length - 1]?.label ?? null,
+            undoCount: this.undoStack.length,
+            redoCount: this.redoStack.length
+        };
+    }
+
+    _push(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this._notify('record', entry);
+    }
+
+    _move(from, to, apply, action) {
+        if (this._depth > 0) {
+            console.warn(`Cannot ${action} while a transaction is open`);
+            return false;
+        }
+        const entry = from.pop();
+        if (!entry) return false;
+        try {
+            apply(entry);
+        } catch (error) {
+            from.push(entry); // Not applied, so it stays where it was
+            throw error;
+        }
+        to.push(entry);
+        this._notify(action, entry);
+        return true;
+    }
+
+    _notify(action, entry) {
+        this.onChange({ action, label: entry?.label ?? null, ...this.getState() });
+    }
+}
@@ -0,0 +1,428 @@
+// Copyright (c) 2024 Matthijs Keuper
+// SPDX-License-Identifier: MIT
+/**
+ * Headless tree model
+ *
+ * Owns the node data and the id index, and implements the tree logic that
+ * does not depend on the DOM: lookups, structural edits, validation of
+ * allowedChildren and toggle values with their node type defaults. Every
+ * change is reported as an event, so several views can share one model and
+ * the model can be used and tested under Node without a browser.
+ *
+ * Events (listeners receive a single detail object):
+ *   nodeAdded       { node, parent, index }
+ *   nodeRemoved     { node, parent, index }
+ *   nodeMoved       { node, from: { parentId, index }, to: { parentId, index } }
+ *   nodeChanged     { node, key, oldValue, newValue }   // setProperty, e.g. label
+ *   toggleChanged   { node, key, oldValue, newValue }   // Stored values; undefined means no own value
+ *   expandChanged   { node, expanded }
+ *   childrenChanged { node }                            // Children replaced, e.g. loaded lazily
+ *   dataChanged     { data, previousData }              // setData
+ *
+ * @class TreeModel
+ */
+
+import {
+    buildNodeIndex, indexSubtree, unindexSubtree, getSiblingArray, getAncestorIds, isSameOrDescendant,
+    getPathById, getNodeByPath, canNodeAcceptChild, getDropParent, validateNodeMove
+} from './helpers.js';
+
+export class TreeModel {
+
+    /**
+     * @param {Array} [data] - Root node array, used as is (not copied)
+     * @param {Object} [options]
+     * @param {Object} [options.nodeTypes] - Node type definitions (allowedChildren, defaultToggles)
+     * @param {Object} [options.toggleDefinitions] - Toggle definitions (values, inherit, inheritValue)
+     */
+    constructor(data = [], options = {}) {
+        this.data = data;
+        this.nodeTypes = options.nodeTypes || {};
+        this.toggleDefinitions = options.toggleDefinitions || {};
+        this.nodeIndex = buildNodeIndex(this.data); // id -> { node, parent }
+        this._listeners = new Map(); // event -> Set of listeners
+    }
+
+    // Events
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event detail
+     * @returns {Function} Unsubscribes the listener
+     */
+    on(event, listener) {
+        if (!this._listeners.has(event)) {
+            this._listeners.set(event, new Set());
+        }
+        this._listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Unsubscribe a listener added with on()
+     */
+    off(event, listener) {
+        this._listeners.get(event)?.delete(listener);
+    }
+
+    _emit(event, detail) {
+        // Copied so listeners can unsubscribe while the event is delivered
+        [...(this._listeners.get(event) || [])].forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`TreeModel '${event}' listener failed:`, error);
+            }
+        });
+    }
+
+    // Lookups
+
+    /**
+     * @returns {Object|null} The node, or null if no node has this id
+     */
+    getNode(id) {
+        return this.nodeIndex.get(id)?.node || null;
+    }
+
+    /**
+     * @returns {Object|null} The parent node, or null for root nodes and unknown ids
+     */
+    getParent(id) {
+        return this.nodeIndex.get(id)?.parent || null;
+    }
+
+    /**
+     * Children of a node, or the root nodes for null
+     * @returns {Array}
+     */
+    getChildren(id = null) {
+        if (id === null) return this.data;
+        return this.getNode(id)?.children || [];
+    }
+
+    has(id) {
+        return this.nodeIndex.has(id);
+    }
+
+    /**
+     * Position of a node as { parentId, index } (parentId is null for root nodes)
+     * @returns {{parentId: string|null, index: number}|null}
+     */
+    getLocation(id) {
+        const entry = this.nodeIndex.get(id);
+        if (!entry) return null;
+        const siblings = getSiblingArray(this.data, this.nodeIndex, id);
+        return { parentId: entry.parent ? entry.parent.id : null, index: siblings.indexOf(entry.node) };
+    }
+
+    /**
+     * Location a node gets when it is put relative to a target: 'inside'
+     * appends to the target's children, 'before'/'after' place it next to the
+     * target. Without a target the node is appended to the root nodes. When
+     * movingId is a sibling before the insertion point, the index accounts for
+     * it leaving its place first.
+     * @returns {{parentId: string|null, index: number}}
+     */
+    getInsertLocation(targetId, position = 'inside', movingId = null) {
+        const target = targetId != null ? this.nodeIndex.get(targetId) : null;
+        let parentId;
+        let siblings;
+        let index;
+        if (!target) {
+            parentId = null;
+            siblings = this.data;
+            index = siblings.length;
+        } else if (position === 'inside') {
+            parentId = target.node.id;
+            siblings = target.node.children || [];
+            index = siblings.length;
+        } else {
+            parentId = target.parent ? target.parent.id : null;
+            siblings = target.parent ? target.parent.children : this.data;
+            index = siblings.indexOf(target.node) + (position === 'after' ? 1 : 0);
+        }
+        const moving = movingId != null ? this.nodeIndex.get(movingId) : null;
+        const movingIndex = moving ? siblings.indexOf(moving.node) : -1;
+        if (movingIndex !== -1 && movingIndex < index) {
+            index -= 1;
+        }
+        return { parentId, index };
+    }
+
+    getAncestorIds(id) {
+        return getAncestorIds(this.nodeIndex, id);
+    }
+
+    /**
+     * Check whether `id` is `ancestorId` or one of its descendants
+     */
+    isSameOrDescendant(id, ancestorId) {
+        return isSameOrDescendant(this.nodeIndex, id, ancestorId);
+    }
+
+    /**
+     * Dotted index path of a node ("0.1.2"), for compatibility with path based APIs
+     */
+    getPath(id) {
+        return getPathById(this.data, this.nodeIndex, id);
+    }
+
+    getIdByPath(path) {
+        return getNodeByPath(this.data, path)?.id ?? null;
+    }
+
+    // Validation
+
+    /**
+     * Child types a node accepts, from the node itself or its type definition
+     */
+    getAllowedChildren(node) {
+        return node.allowedChildren || this.nodeTypes[node.type || 'custom']?.allowedChildren || [];
+    }
+
+    /**
+     * Check whether a node (or the { type: 'root' } stand-in) accepts a child by type
+     */
+    canAcceptChild(parent, child) {
+        return canNodeAcceptChild(parent, child, this.nodeTypes);
+    }
+
+    /**
+     * Node that receives a node put relative to a target; a root stand-in
+     * ({ children, type: 'root' }) for root level positions and a missing target
+     */
+    getDropParent(targetId, position = 'inside') {
+        if (!targetId) return { children: this.data, type: 'root' };
+        return getDropParent(this.data, this.nodeIndex, targetId, position);
+    }
+
+    /**
+     * Check a move of a node relative to a target
+     * @returns {{valid: boolean, reason: string|null}}
+     */
+    validateMove(sourceId, targetId, position = 'inside') {
+        return validateNodeMove(this.data, this.nodeIndex, sourceId, targetId, this.nodeTypes, position);
+    }
+
+    // Toggles
+
+    /**
+     * Whether a node shows a toggle: it has an own value (null hides it), or
+     * its node type lists the toggle in defaultToggles (action toggles only
+     * when the default is true)
+     */
+    shouldShowToggle(node, toggleKey) {
+        if (node.toggles && toggleKey in node.toggles) {
+            return node.toggles[toggleKey] !== null;
+        }
+        const defaultToggles = this.nodeTypes[node.type || 'custom']?.defaultToggles;
+        if (defaultToggles && toggleKey in defaultToggles) {
+            const toggleDef = this.toggleDefinitions[toggleKey];
+            const isActionToggle = !toggleDef?.values || toggleDef.values.length === 0;
+            return isActionToggle ? defaultToggles[toggleKey] === true : true;
+        }
+        return false;
+    }
+
+    /**
+     * Own value of a toggle: the node's value, else the node type default,
+     * else the first defined value, else false
+     */
+    getToggleValue(node, toggleKey) {
+        if (node.toggles && toggleKey in node.toggles && node.toggles[toggleKey] !== null) {
+            return node.toggles[toggleKey];
+        }
+        const defaultToggles = this.nodeTypes[node.type || 'custom']?.defaultToggles;
+        if (defaultToggles && toggleKey in defaultToggles) {
+            return defaultToggles[toggleKey];
+        }
+        const toggleDef = this.toggleDefinitions[toggleKey];
+        if (toggleDef && toggleDef.values && toggleDef.values.length > 0) {
+            return toggleDef.values[0];
+        }
+        return false;
+    }
+
+    /**
+     * Nearest ancestor whose value of an inheriting toggle overrides the node's own
+     * @returns {Object|null} The ancestor node
+     */
+    getToggleSource(node, toggleKey) {
+        const toggleDef = this.toggleDefinitions[toggleKey];
+        if (!toggleDef?.inherit) return null;
+        const inheritedValues = [].concat(toggleDef.inheritValue ?? false);
+        if (inheritedValues.includes(this.getToggleValue(node, toggleKey))) return null;
+
+        for (let parent = this.getParent(node.id); parent; parent = this.getParent(parent.id)) {
+            if (this.shouldShowToggle(parent, toggleKey) && inheritedValues.includes(this.getToggleValue(parent, toggleKey))) {
+                return parent;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Value a toggle has once inheritance is applied
+     */
+    getEffectiveToggleValue(node, toggleKey) {
+        return this.getToggleValue(this.getToggleSource(node, toggleKey) || node, toggleKey);
+    }
+
+    /**
+     * Loaded descendants of a node that show a toggle, in tree order
+     */
+    getToggleDescendants(node, toggleKey) {
+        const descendants = [];
+        const visit = (children) => children.forEach(child => {
+            if (this.shouldShowToggle(child, toggleKey)) {
+                descendants.push(child);
+            }
+            visit(child.children || []);
+        });
+        visit(node.children || []);
+        return descendants;
+    }
+
+    // Changes
+
+    /**
+     * Replace all data
+     * @param {Array} data - Root node array, used as is
+     */
+    setData(data) {
+        const previousData = this.data;
+        this.data = data;
+        buildNodeIndex(this.data, this.nodeIndex);
+        this._emit('dataChanged', { data, previousData });
+    }
+
+    /**
+     * Insert a node (with its descendants) that is not in the tree yet
+     * @param {Object} node - Node; a missing or taken id is replaced
+     * @param {string|null} [parentId] - Parent id, null for the root level
+     * @param {number} [index] - Position among the siblings, appended by default
+     * @returns {Object|null} The node, or null when the parent does not exist
+     */
+    addNode(node, parentId = null, index = undefined) {
+        const parent = parentId != null ? this.getNode(parentId) : null;
+        if (parentId != null && !parent) {
+            console.warn(`Cannot add node, parent '${parentId}' does not exist`);
+            return null;
+        }
+        const siblings = parent ? (parent.children = parent.children || []) : this.data;
+        const insertIndex = Math.max(0, Math.min(index ?? siblings.length, siblings.length));
+        siblings.splice(insertIndex, 0, node);
+        indexSubtree(this.nodeIndex, node, parent);
+        this._emit('nodeAdded', { node, parent, index: insertIndex });
+        return node;
+    }
+
+    /**
+     * Take a node and its descendants out of the tree
+     * @returns {{node: Object, location: {parentId: string|null, index: number}}|null}
+     */
+    removeNode(id) {
+        const node = this.getNode(id);
+        if (!node) return null;
+        const parent = this.getParent(id);
+        const location = this.getLocation(id);
+        getSiblingArray(this.data, this.nodeIndex, id).splice(location.index, 1);
+        unindexSubtree(this.nodeIndex, node);
+        this._emit('nodeRemoved', { node, parent, index: location.index });
+        return { node, location };
+    }
+
+    /**
+     * Move a node (with its descendants) to a new parent. The node object
+     * itself is moved, so its id and references to it stay valid.
+     * @param {string} id - Node id
+     * @param {string|null} parentId - New parent id, null for the root level
+     * @param {number} [index] - Index among the new siblings after the move, appended by default
+     * @returns {boolean} True if the node was moved
+     */
+    moveNode(id, parentId, index = undefined) {
+        const entry = this.nodeIndex.get(id);
+        const parent = parentId != null ? this.getNode(parentId) : null;
+        if (!entry || (parentId != null && !parent)) {
+            console.error('Move failed, node not found:', { id, parentId });
+            return false;
+        }
+        if (parentId != null && this.isSameOrDescendant(parentId, id)) {
+            console.error(`Move failed, node '${id}' cannot be moved into itself`);
+            return false;
+        }
+        const from = this.getLocation(id);
+        getSiblingArray(this.data, this.nodeIndex, id).splice(from.index, 1);
+        const siblings = parent ? (parent.children = parent.children || []) : this.data;
+        const insertIndex = Math.max(0, Math.min(index ?? siblings.length, siblings.length));
+        siblings.splice(insertIndex, 0, entry.node);
+        entry.parent = parent;
+        this._emit('nodeMoved', { node: entry.node, from, to: { parentId: parent ? parent.id : null, index: insertIndex } });
+        return true;
+    }
+
+    /**
+     * Set a property of a node such as its label
+     * @returns {boolean} True if the value changed
+     */
+    setProperty(id, key, value) {
+        const node = this.getNode(id);
+        if (!node || node[key] === value) return false;
+        const oldValue = node[key];
+        node[key] = value;
+        this._emit('nodeChanged', { node, key, oldValue, newValue: value });
+        return true;
+    }
+
+    /**
+     * Store the own value of a toggle; undefined removes it so the node type
+     * default applies again
+     * @returns {boolean} True if the stored value changed
+     */
+    setToggle(id, key, value) {
+        const node = this.getNode(id);
+        if (!node) return false;
+        const hasValue = !!node.toggles && key in node.toggles;
+        const oldValue = node.toggles?.[key];
+        if (value === undefined ? !hasValue : (hasValue && oldValue === value)) return false;
+        node.toggles = node.toggles || {};
+        if (value === undefined) {
+            delete node.toggles[key];
+        } else {
+            node.toggles[key] = value;
+        }
+        this._emit('toggleChanged', { node, key, oldValue, newValue: value });
+        return true;
+    }
+
+    /**
+     * @returns {boolean} True if the expansion state changed
+     */
+    setExpanded(id, expanded) {
+        const node = this.getNode(id);
+        if (!node || (node.expanded === true) === expanded) return false;
+        node.expanded = expanded;
+        this._emit('expandChanged', { node, expanded });
+        return true;
+    }
+
+    /**
+     * Replace the children of a node, e.g. with lazily loaded ones. Undefined
+     * removes them, so a lazy node is loaded again.
+     */
+    setChildren(id, children) {
+        const node = this.getNode(id);
+        if (!node) return false;
+        (node.children || []).forEach(child => unindexSubtree(this.nodeIndex, child));
+        if (children === undefined) {
+            delete node.children;
+        } else {
+            node.children = children;
+            children.forEach(child => indexSubtree(this.nodeIndex, child, node));
+        }
+        this._emit('childrenChanged', { node });
+        return true;
+    }
+}
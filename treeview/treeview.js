@@ -6,29 +6,71 @@
  * Features:
  * - Hierarchical data display
  * - Expandable/collapsible nodes
- * - Selection support (single/multi)
+ * - Search/filter mode that keeps ancestors of matches visible
+ * - Inline label renaming (F2 / double-click) with validation
+ * - Configurable context menu per node type (right-click / Shift+F10)
+ * - Copy, cut, paste and duplicate of subtrees, shared between instances and
+ *   through the system clipboard as JSON
+ * - Drag and drop between instances, from the OS and onto other DOM elements
+ * - Pointer-event drag mode for touch screens (long press to start)
+ * - Undo/redo history for structural edits, renames and toggles
+ * - Lazy loading of children through an async loadChildren provider
+ * - Selection support (single/multi with ctrl toggle, shift range and select all)
+ * - Keyboard navigation and WAI-ARIA tree semantics
  * - Customizable node rendering
+ * - Tree table mode with sortable, resizable columns under a sticky header
+ * - Render-time sort rules per node type and grouping of siblings by type
+ * - Headless TreeModel that several views can share
+ * - Validation of node types, toggle definitions and data at construction
+ * - View state (expansion, selection, focus, scroll) capture, restore and persistence
+ * - Optional virtualized (windowed) rendering for very large trees
  * - Event handling for selection and expansion
  * 
  * Node Structure:
  * {
- *   id?: string,            // Optional unique identifier
+ *   id?: string,            // Unique identifier (auto-assigned when missing)
  *   label: string,          // Display text for the node
  *   children?: Array,       // Child nodes (optional)
  *   expanded?: boolean,     // Initial expansion state (null/0/false = collapsed, true = expanded)
+ *   lazy?: boolean,         // Children are fetched with options.loadChildren on first expand (alias: hasChildren)
  *   data?: any,            // Custom data associated with the node
  *   [key: string]: any     // Any additional properties
  * }
  * 
+ * Nodes are addressed by id in every public method and callback. Dotted index
+ * paths ("0.1.2") are only supported through getIdByPath()/getPathById().
+ * 
  * @class TreeView
  */
 
-import { ICONS, STYLES } from './constants.js';
-import { getNodeByPath, debugNodes, moveNode, validateDragDropOperation, canNodeAcceptChild } from './helpers.js';
+import { ICONS, STYLES, LAYOUT, DELAYS, CONTEXT_MENU, CLIPBOARD } from './constants.js';
+import {
+    debugNodes, generateNodeId, getAncestorIds, getSiblingArray, isSameOrDescendant, flattenVisibleNodes,
+    getTopLevelIds, cloneSubtree, sortIdsByTreeOrder
+} from './helpers.js';
+import { ContextMenu } from './contextmenu.js';
+import { TreeHistory } from './history.js';
+import { TreeModel } from './model.js';
+import { validateTreeModel } from './validation.js';
 
 export class TreeView {
 
-    static CONSTANTS = { ICONS, STYLES };
+    static CONSTANTS = { ICONS, STYLES, LAYOUT, DELAYS, CONTEXT_MENU, CLIPBOARD };
+
+    // Clipboard shared by all instances on the page: { id, mode, ids, source, nodes }
+    static clipboard = null;
+
+    // Nodes being dragged from a TreeView on this page: { id, ids, source, nodes }
+    static activeDrag = null;
+
+    // Container element -> TreeView, lets a pointer drag find the tree under the pointer
+    static _containers = new WeakMap();
+
+    // Natural order for sorting by text columns ("item 2" before "item 10")
+    static _collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+    // Alphabetical order for the 'label' sort rule ("item 10" before "item 2")
+    static _textCollator = new Intl.Collator(undefined, { sensitivity: 'base' });
 
     constructor(options = {}) {
         this.options = {
@@ -37,24 +79,123 @@ export class TreeView {
             showIcons: options.showIcons !== false,
             multiSelect: options.multiSelect || false,
             nodeRenderer: options.nodeRenderer || null,
-            toggleDefinitions: options.toggleDefinitions || {},
+            toggleDefinitions: options.toggleDefinitions || options.model?.toggleDefinitions || {},
             toggleOrder: options.toggleOrder || [],
-            nodeTypes: options.nodeTypes || {},
+            nodeTypes: options.nodeTypes || options.model?.nodeTypes || {},
             enableDragDrop: options.enableDragDrop !== false, // Enable by default
+            dragMode: options.dragMode || 'native', // 'native' (HTML5 drag and drop) or 'pointer' (pointer events, works on touch)
+            dragEffect: options.dragEffect || 'move', // Effect of dragging nodes out of this tree, Alt switches between 'move' and 'copy'
+            createNodeFromDrop: options.createNodeFromDrop || null, // (dataTransfer, target) => node(s) or Promise, for drops from outside
+            enableRename: options.enableRename !== false, // Enable by default
+            enableContextMenu: options.enableContextMenu !== false, // Enable by default
+            contextMenu: options.contextMenu || CONTEXT_MENU, // Default entries, nodeTypes[type].contextMenu overrides
+            enableHistory: options.enableHistory !== false, // Enable by default
+            historyLimit: options.historyLimit ?? 100,
+            loadChildren: options.loadChildren || null, // async (node) => children, for nodes flagged lazy/hasChildren
+            confirmRemove: options.confirmRemove || null, // (nodes, ids) => boolean or Promise, asked before deleting nodes with children
+            hotkeyPrecedence: options.hotkeyPrecedence || 'typeahead', // Letters without modifier: 'typeahead' searches (hotkeys need a modifier), 'hotkey' toggles
+            ariaLabel: options.ariaLabel || 'Tree',
+            virtualize: options.virtualize || false,
+            rowHeight: options.rowHeight || 'auto', // Number of pixels, or 'auto' to measure the first row
+            overscan: options.overscan ?? LAYOUT.OVERSCAN,
+            columns: options.columns || [], // Table columns right of the labels, see _normalizeColumns
+            treeColumn: options.treeColumn || {}, // Header of the label column: { label, sortable }
+            persistViewState: options.persistViewState || null, // localStorage key the view state is saved under
+            validateModel: options.validateModel !== false, // Check nodeTypes, toggleDefinitions and data at construction
+            sort: options.sort || null, // Sibling order for the root nodes and node types without a sort rule, see setSort
+            groupBy: options.groupBy || null, // 'type' shows siblings grouped by type under header rows
             ...options
         };
+        
+        // Before the model is built, which replaces duplicate ids
+        this.validation = this.options.validateModel ? this._validateModel() : null;
+
+        // The model owns the data; a model passed in can be shared with other views
+        this.model = options.model || new TreeModel(this.options.data, {
+            nodeTypes: this.options.nodeTypes,
+            toggleDefinitions: this.options.toggleDefinitions
+        });
+        this.options.data = this.model.data;
+        this._updatingModel = 0; // Nesting level of model changes made by this view, see _updateModel
 
         this.selectedNodes = new Set();
         this.nodeElements = new Map();
+        this.nodeIndex = this.model.nodeIndex; // id -> { node, parent }, maintained by the model
+        this.childContainers = new Map(); // id -> rendered .treeview-children element
+        this.rootElement = null;
+        this.focusedId = null; // Row that holds the roving tabindex
+        this.anchorId = null; // Fixed end of shift range selections
+        
+        // Filter state (see setFilter)
+        this.filter = null;
+        this._filterPredicate = null;
+        this._filterText = '';
+        this._filterMatches = null;  // ids of nodes matching the filter
+        this._filterVisible = null;  // ids of matches and their ancestors
+        this._filterExpanded = null; // ids expanded while filtering, independent of node.expanded
+        
+        // Table state (see columns)
+        this.columns = this._normalizeColumns(this.options.columns);
+        this.headerElement = null;
+        this._columnSort = null; // { key, direction } set by sortByColumn
+        
+        // Sort rules and grouping (see setSort and nodeTypes[type].sort)
+        this._sort = this.options.sort;
+        this._viewSort = this._normalizeSortRule(this._sort);
+        this._typeSorts = new Map(); // type -> sort of its children
+        Object.entries(this.options.nodeTypes).forEach(([type, typeDef]) => {
+            if (typeDef.sort !== undefined) {
+                this._typeSorts.set(type, this._normalizeSortRule(typeDef.sort));
+            }
+        });
+        this._groupBy = null;
+        if (this.options.groupBy === 'type') {
+            this._groupBy = 'type';
+        } else if (this.options.groupBy) {
+            console.warn(`Unknown groupBy '${this.options.groupBy}', use 'type'`);
+        }
+        
+        this._pendingExpanded = new Set(); // Expanded ids of a restored view state whose nodes are not loaded yet
+        this._viewStateTimer = null;
+        this._flash = null; // { id, timer } of the row highlighted by revealNode
+        this._typeAheadBuffer = '';
+        this._typeAheadTimer = null;
+        this._toggleValueCache = null; // Toggle key -> Map(node -> descendant values) during a toggle refresh
+        this._renameState = null; // { id, input, element } while a label is being edited
+        this._contextMenu = null; // Open ContextMenu instance
+        this.visibleRows = []; // Flattened rows, only used when virtualize is enabled
+        this._measuredRowHeight = null;
+        this._virtualFrame = null;
         this.onSelectionChange = options.onSelectionChange || (() => {});
         this.onNodeExpand = options.onNodeExpand || (() => {});
         this.onToggleClick = options.onToggleClick || (() => { });
         this.onNodeAdd = options.onNodeAdd || (() => {}); // New callback for adding nodes
         this.onNodeDrop = options.onNodeDrop || (() => {}); // New callback for drag/drop events
+        this.onNodeRename = options.onNodeRename || (() => {}); // Return false to veto a rename
+        this.onContextMenu = options.onContextMenu || (() => {}); // Return an item array to replace the menu, false to suppress it
+        this.onHistoryChange = options.onHistoryChange || (() => {});
+        this.onNodeCopy = options.onNodeCopy || (() => {});
+        this.onNodeCut = options.onNodeCut || (() => {});
+        this.onNodePaste = options.onNodePaste || (() => {});
+        this.onNodeDuplicate = options.onNodeDuplicate || (() => {});
+        this.onNodeRemove = options.onNodeRemove || (() => {});
+        this.onColumnResize = options.onColumnResize || (() => {});
+        this.onSortChange = options.onSortChange || (() => {});
+
+        this.history = new TreeHistory({
+            limit: this.options.historyLimit,
+            onChange: (state) => this.onHistoryChange(state)
+        });
+        this._replayingHistory = false; // Commands applied by undo/redo are not recorded again
+        this.onChildrenLoad = options.onChildrenLoad || (() => {});
+        this._lazyState = new Map(); // id -> { status: 'loading'|'error', error, placeholder, promise }
 
         // Drag and drop state
         this.draggedNode = null;
-        this.draggedPath = null;
+        this.draggedId = null;
+        this.draggedIds = []; // Top-level nodes being dragged, in tree order
+        this._dragExpand = null; // { id, timer } for the collapsed node being hovered during a drag
+        this._pointerDrag = null; // Pending or active drag in 'pointer' mode
         this.dropIndicator = null;
         this.currentDropTarget = null;
         this.dropPosition = 'inside';
@@ -63,18 +204,61 @@ export class TreeView {
         this.dragOverThrottle = null;
         this.lastDragOverTime = 0;
 
+        this._modelSubscriptions = this._subscribeToModel();
+        this._setFilterState(options.filter || null);
         this._createContainer();
         this._render();
+        this._restoreViewState();
+        this._loadExpandedLazyNodes(this.options.data);
     }
 
     _createContainer() {
         this.container = document.createElement('div');
         this.container.className = 'treeview-container';
         Object.assign(this.container.style, TreeView.CONSTANTS.STYLES.CONTAINER);
+        this.container.setAttribute('role', 'tree');
+        this.container.setAttribute('aria-label', this.options.ariaLabel);
+        TreeView._containers.set(this.container, this);
+        if (this.options.multiSelect) {
+            this.container.setAttribute('aria-multiselectable', 'true');
+        }
+        this.container.addEventListener('keydown', (e) => this._handleKeyDown(e));
+        ['copy', 'cut', 'paste'].forEach(type => {
+            this.container.addEventListener(type, (e) => this._handleClipboardEvent(e));
+        });
+        if (this.options.enableDragDrop) {
+            // Capture phase: scroll near the edges whichever row is hovered
+            this.container.addEventListener('dragover', (e) => this._autoScrollDuringDrag(e), true);
+            // Drops on the empty area below the rows go after the last root node
+            this.container.addEventListener('dragover', (e) => this._handleContainerDragOver(e));
+            this.container.addEventListener('drop', (e) => this._handleContainerDrop(e));
+            this.container.addEventListener('dragleave', (e) => {
+                if (!e.relatedTarget || !this.container.contains(e.relatedTarget)) {
+                    this._cancelDragExpand();
+                    this._hideDropIndicator();
+                }
+            });
+            // Keep touch scrolling from taking over once a long press started a pointer drag
+            this.container.addEventListener('touchmove', (e) => {
+                if (this._pointerDrag?.active) e.preventDefault();
+            }, { passive: false });
+        }
         
         // Create and style the drop indicator
         this._createDropIndicator();
         
+        if (this.options.virtualize) {
+            this._attachVirtualScrolling();
+        }
+        if (this.options.persistViewState) {
+            this.container.addEventListener('scroll', () => this._scheduleViewStateSave());
+            // Changes of the last moments before the page closes are written right away
+            this._onPageHide = () => {
+                if (this._viewStateTimer) this._saveViewState();
+            };
+            window.addEventListener('pagehide', this._onPageHide);
+        }
+        
         this.options.container.appendChild(this.container);
     }
 
@@ -89,750 +273,4218 @@ export class TreeView {
         document.body.appendChild(this.dropIndicator);
     }
 
+    /**
+     * Full render, used when the data is replaced. All other updates go through
+     * the _refresh* methods, which only touch the affected elements.
+     * @private
+     */
     _render() {
-        this.container.innerHTML = '';
-        this.nodeElements.clear();
-        this._renderNodes(this.options.data, this.container, '');
+        const scrollTop = this.container.scrollTop;
+        if (this.options.virtualize) {
+            this._renderVirtual();
+        } else {
+            this.container.innerHTML = '';
+            this._renderHeader();
+            this.nodeElements.clear();
+            this.childContainers.clear();
+            this.rootElement = document.createElement('div');
+            this.rootElement.className = 'treeview-root';
+            this._renderNodes(this._getDisplayRows(null), this.rootElement);
+            this.container.appendChild(this.rootElement);
+        }
+        this.container.scrollTop = scrollTop;
     }
 
-    _renderNodes(nodes, parentElement, path) {
-        nodes.forEach((node, index) => {
-            const nodePath = path ? `${path}.${index}` : `${index}`;
-            const nodeElement = this._createNodeElement(node, nodePath);
-            parentElement.appendChild(nodeElement);
-            
-            if (node.children && node.children.length > 0) {
-                const childrenContainer = document.createElement('div');
-                childrenContainer.className = 'treeview-children';
-                Object.assign(childrenContainer.style, TreeView.CONSTANTS.STYLES.CHILDREN);
-                
-                // Simple: just check the node's expanded property directly
-                const isExpanded = node.expanded === true;
-                childrenContainer.style.display = isExpanded ? 'block' : 'none';
-                
-                this._renderNodes(node.children, childrenContainer, nodePath);
-                parentElement.appendChild(childrenContainer);
+    /**
+     * Render nodes into a parent element. Children of collapsed nodes are not
+     * rendered until the node is expanded for the first time.
+     * @private
+     */
+    _renderNodes(nodes, parentElement) {
+        nodes.forEach(node => {
+            parentElement.appendChild(this._createNodeElement(node, node.id));
+            if (this._isExpanded(node) && this._getDisplayChildren(node).length > 0) {
+                parentElement.appendChild(this._createChildrenContainer(node));
             }
         });
     }
 
-    _createNodeElement(node, path) {
-        const nodeDiv = document.createElement('div');
-        nodeDiv.className = 'treeview-node';
-        nodeDiv.dataset.path = path;
-        Object.assign(nodeDiv.style, TreeView.CONSTANTS.STYLES.NODE);
-        
-        // Apply node type styling
-        const nodeType = node.type || 'custom';
-        const nodeTypeDefinition = this.options.nodeTypes[nodeType];
-        if (nodeTypeDefinition?.style) {
-            Object.assign(nodeDiv.style, nodeTypeDefinition.style);
+    /**
+     * Create the container holding the rendered children of a node
+     * @private
+     */
+    _createChildrenContainer(node) {
+        const childrenContainer = document.createElement('div');
+        childrenContainer.className = 'treeview-children';
+        childrenContainer.dataset.parentId = node.id;
+        childrenContainer.setAttribute('role', 'group');
+        Object.assign(childrenContainer.style, TreeView.CONSTANTS.STYLES.CHILDREN);
+        this._renderNodes(this._getDisplayRows(node), childrenContainer);
+        this.childContainers.set(node.id, childrenContainer);
+        return childrenContainer;
+    }
+
+    // Model
+
+    /**
+     * Check the node types, toggle definitions and data with validateTreeModel
+     * and report the issues on the console
+     * @private
+     * @returns {{valid: boolean, errors: Array, warnings: Array}}
+     */
+    _validateModel() {
+        const result = validateTreeModel({
+            nodeTypes: this.options.nodeTypes,
+            toggleDefinitions: this.options.toggleDefinitions,
+            toggleOrder: this.options.toggleOrder
+        }, this.options.model ? this.options.model.data : this.options.data);
+        result.errors.forEach(issue => console.error(`Tree model: ${issue.message} (${issue.path})`));
+        result.warnings.forEach(issue => console.warn(`Tree model: ${issue.message} (${issue.path})`));
+        return result;
+    }
+
+    /**
+     * Listen to the model, so changes made through it directly or by another
+     * view sharing it show up in this view
+     * @private
+     * @returns {Array<Function>} Unsubscribe functions
+     */
+    _subscribeToModel() {
+        const handlers = {
+            nodeAdded: ({ parent }) => this._handleModelStructureChange([parent ? parent.id : null]),
+            nodeRemoved: ({ parent }) => this._handleModelStructureChange([parent ? parent.id : null]),
+            // The receiving parent first, so the row element is moved rather than recreated
+            nodeMoved: ({ from, to }) => this._handleModelStructureChange([to.parentId, from.parentId]),
+            childrenChanged: ({ node }) => {
+                this._lazyState.delete(node.id); // A load of this view still in flight is ignored
+                this._handleModelStructureChange([node.id]);
+            },
+            nodeChanged: ({ node, key }) => {
+                this._refreshNode(node.id);
+                this._refreshSortOrder(key, [node.id]);
+            },
+            toggleChanged: ({ node, key }) => this._refreshToggles(key, [node.id]),
+            expandChanged: ({ node }) => this._refreshExpanded(node.id),
+        };
+        const subscriptions = Object.entries(handlers).map(([event, handler]) => this.model.on(event, (detail) => {
+            if (this._updatingModel === 0) handler(detail);
+        }));
+        // Replaced data resets every view, including the one that called setData
+        subscriptions.push(this.model.on('dataChanged', (detail) => this._handleDataChanged(detail)));
+        subscriptions.push(this.model.on('expandChanged', () => this._scheduleViewStateSave()));
+        return subscriptions;
+    }
+
+    /**
+     * Make changes to the model. The view updates itself for its own changes
+     * (in batches), so it ignores the events they cause.
+     * @private
+     */
+    _updateModel(fn) {
+        this._updatingModel += 1;
+        try {
+            return fn();
+        } finally {
+            this._updatingModel -= 1;
         }
-        
-        const contentDiv = document.createElement('div');
-        Object.assign(contentDiv.style, TreeView.CONSTANTS.STYLES.NODE_CONTENT);
-        
-        // Apply node type content styling
-        if (nodeTypeDefinition?.contentStyle) {
-            Object.assign(contentDiv.style, nodeTypeDefinition.contentStyle);
+    }
+
+    /**
+     * Whether another view shows the same model, so nodes can move between them
+     * @private
+     */
+    _sharesModel(view) {
+        return !!view && view.model === this.model;
+    }
+
+    /**
+     * Update the view after nodes were added, removed or moved outside of it
+     * @private
+     */
+    _handleModelStructureChange(parentIds) {
+        const hadFocus = this.container.contains(document.activeElement);
+        if (this._renameState && !this.nodeIndex.has(this._renameState.id)) {
+            this._renameState = null; // Its row is gone
         }
-        
-        // Use custom renderer if provided, otherwise use default
-        if (this.options.nodeRenderer) {
-            const customContent = this.options.nodeRenderer(node, path, {
-                isExpanded: node.expanded || false,
-                isSelected: this.selectedNodes.has(path),
-                hasChildren: node.children && node.children.length > 0
-            });
-            if (customContent) {
-                if (typeof customContent === 'string') {
-                    contentDiv.innerHTML = customContent;
-                } else {
-                    contentDiv.appendChild(customContent);
-                }
+        this._refreshParents(new Set(parentIds));
+        if (!this.nodeIndex.has(this.anchorId)) {
+            this.anchorId = null;
+        }
+        if (this.getSelection().some(id => !this.nodeIndex.has(id))) {
+            this._updateSelection(this.getSelection());
+        }
+        if (this.focusedId && !this.nodeIndex.has(this.focusedId)) {
+            this.focusedId = null;
+            if (hadFocus && this._getTabStopId()) {
+                this._focusNode(this._getTabStopId());
             }
-        } else {
-            // Use default renderer with toggle support
-            const defaultContent = this._defaultNodeRenderer(node, path, {
-                isExpanded: node.expanded || false,
-                isSelected: this.selectedNodes.has(path),
-                hasChildren: node.children && node.children.length > 0
-            });
-            if (defaultContent) {
-                contentDiv.appendChild(defaultContent);
+        }
+    }
+
+    // Incremental updates
+
+    /**
+     * Rebuild the content of a single row in place. The row element itself is
+     * kept, so its listeners, hover and focus state survive.
+     * @private
+     */
+    _refreshNode(id) {
+        const element = this.nodeElements.get(id);
+        const node = this.getNodeById(id);
+        if (!element || !node) return;
+        if (this._renameState?.id === id) {
+            this._finishRename(false);
+            return;
+        }
+        element.replaceChild(this._createNodeContent(node, id), element.firstChild);
+        this._updateRowAttributes(element, node);
+    }
+
+    /**
+     * Update a node after its expansion state changed
+     * @private
+     */
+    _refreshExpanded(id) {
+        const node = this.getNodeById(id);
+        // Collapsing hides the focused row, so focus moves to the collapsed node
+        if (node && !this._isExpanded(node) && this.focusedId && this.focusedId !== id
+            && isSameOrDescendant(this.nodeIndex, this.focusedId, id)) {
+            const hadFocus = this.container.contains(document.activeElement);
+            this._setFocusedId(id);
+            if (hadFocus) {
+                this.nodeElements.get(id)?.focus({ preventScroll: true });
             }
         }
-        
-        nodeDiv.appendChild(contentDiv);
-        
-        // Event listeners
-        nodeDiv.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this._handleNodeClick(node, path, nodeDiv);
-        });
-        
-        // Add drag and drop event listeners if enabled
-        if (this.options.enableDragDrop) {
-            nodeDiv.setAttribute('draggable', 'true');
-            nodeDiv.title = `Drag to reorder. Can be dropped into: ${this._getAllowedParentTypes(node).join(', ') || 'none'}`;
-            
-            nodeDiv.addEventListener('dragstart', (e) => {
-                this._handleDragStart(e, node, path, nodeDiv);
-            });
-            
-            nodeDiv.addEventListener('dragover', (e) => {
-                this._handleDragOver(e, node, path, nodeDiv);
-            });
-            
-            nodeDiv.addEventListener('dragenter', (e) => {
-                this._handleDragEnter(e, node, path, nodeDiv);
-            });
-            
-            nodeDiv.addEventListener('dragleave', (e) => {
-                this._handleDragLeave(e, node, path, nodeDiv);
-            });
-            
-            nodeDiv.addEventListener('drop', (e) => {
-                this._handleDrop(e, node, path, nodeDiv);
-            });
-            
-            nodeDiv.addEventListener('dragend', (e) => {
-                this._handleDragEnd(e);
-            });
+        this._refreshNode(id);
+        if (this.options.virtualize) {
+            this._updateVirtualRows();
+            return;
+        }
+        this._syncChildrenContainer(node);
+    }
+
+    /**
+     * Reconcile the rendered children of a parent (null for the root) with the data.
+     * Existing elements are reused and moved, missing ones are created and
+     * elements of nodes that are no longer children are removed.
+     * @private
+     */
+    _refreshChildren(parentId) {
+        const parent = parentId ? this.getNodeById(parentId) : null;
+        if (parentId && !parent) return;
+        if (this._filterPredicate) {
+            // Matches depend on the structure, so the filter is evaluated again
+            this._applyFilter();
+            this._render();
+            return;
+        }
+        if (parentId) {
+            this._refreshNode(parentId); // Expand icon depends on the children
+        }
+        if (this.options.virtualize) {
+            this._updateVirtualRows();
+            return;
         }
         
-        nodeDiv.addEventListener('mouseenter', () => {
-            if (!this.selectedNodes.has(path)) {
-                Object.assign(nodeDiv.style, TreeView.CONSTANTS.STYLES.NODE_HOVER);
+        const childrenElement = parent ? this.childContainers.get(parentId) : this.rootElement;
+        if (childrenElement) {
+            const children = this._getDisplayRows(parent);
+            let cursor = childrenElement.firstChild;
+            children.forEach(child => {
+                const isNew = !this.nodeElements.has(child.id);
+                const row = isNew ? this._createNodeElement(child, child.id) : this.nodeElements.get(child.id);
+                cursor = this._placeElement(childrenElement, row, cursor);
+                // Inserted subtrees (paste, duplicate, undo) may arrive expanded
+                if (isNew && this._isExpanded(child) && this._getDisplayChildren(child).length > 0) {
+                    this._createChildrenContainer(child);
+                }
+                const group = this.childContainers.get(child.id);
+                if (group) {
+                    cursor = this._placeElement(childrenElement, group, cursor);
+                }
+            });
+            while (cursor) {
+                const next = cursor.nextSibling;
+                this._removeRenderedElement(cursor);
+                cursor = next;
             }
-        });
+        }
+        if (parent) {
+            this._syncChildrenContainer(parent);
+        }
+    }
+
+    /**
+     * Create, show or hide the children container of a node to match its state
+     * @private
+     */
+    _syncChildrenContainer(node) {
+        if (!node) return;
+        const row = this.nodeElements.get(node.id);
+        let group = this.childContainers.get(node.id);
+        const hasChildren = this._getDisplayChildren(node).length > 0;
         
-        nodeDiv.addEventListener('mouseleave', () => {
-            if (!this.selectedNodes.has(path)) {
-                nodeDiv.style.backgroundColor = '';
+        if (!hasChildren) {
+            if (group) this._removeRenderedElement(group);
+            return;
+        }
+        if (this._isExpanded(node)) {
+            if (!group && row) {
+                group = this._createChildrenContainer(node);
+                row.after(group);
+            } else if (group) {
+                group.style.display = '';
             }
-        });
-        
-        // Apply selection styling if selected
-        if (this.selectedNodes.has(path)) {
-            Object.assign(nodeDiv.style, TreeView.CONSTANTS.STYLES.NODE_SELECTED);
+        } else if (group) {
+            group.style.display = 'none';
         }
-        
-        this.nodeElements.set(path, nodeDiv);
-        return nodeDiv;
     }
 
-    _handleNodeClick(node, path, nodeElement) {
-        // Handle expansion/collapse
-        if (node.children && node.children.length > 0) {
-            this._toggleNode(path);
+    /**
+     * Insert an element before the cursor unless it is already there
+     * @private
+     */
+    _placeElement(parentElement, element, cursor) {
+        if (element === cursor) {
+            return cursor.nextSibling;
         }
-        
-        // Handle selection
-        if (this.options.multiSelect && event.ctrlKey) {
-            if (this.selectedNodes.has(path)) {
-                this.selectedNodes.delete(path);
-                nodeElement.style.backgroundColor = '';
-                nodeElement.style.color = '';
-            } else {
-                this.selectedNodes.add(path);
-                Object.assign(nodeElement.style, TreeView.CONSTANTS.STYLES.NODE_SELECTED);
+        parentElement.insertBefore(element, cursor);
+        return cursor;
+    }
+
+    /**
+     * Remove a row or children container and forget the elements inside it
+     * @private
+     */
+    _removeRenderedElement(element) {
+        element.remove();
+        const rows = element.matches('.treeview-node') ? [element] : [];
+        rows.push(...element.querySelectorAll('.treeview-node'));
+        rows.forEach(row => {
+            if (this.nodeElements.get(row.dataset.id) === row) {
+                this.nodeElements.delete(row.dataset.id);
             }
-        } else {
-            // Single selection
-            this.selectedNodes.forEach(selectedPath => {
-                const selectedElement = this.nodeElements.get(selectedPath);
-                if (selectedElement) {
-                    selectedElement.style.backgroundColor = '';
-                    selectedElement.style.color = '';
-                }
+        });
+        const groups = element.matches('.treeview-children') ? [element] : [];
+        groups.push(...element.querySelectorAll('.treeview-children'));
+        groups.forEach(group => {
+            if (this.childContainers.get(group.dataset.parentId) === group) {
+                this.childContainers.delete(group.dataset.parentId);
+            }
+        });
+    }
+
+    // Virtualized rendering
+
+    /**
+     * Re-render the visible window when the container scrolls or resizes
+     * @private
+     */
+    _attachVirtualScrolling() {
+        this._onVirtualScroll = () => {
+            if (this._virtualFrame) return;
+            this._virtualFrame = requestAnimationFrame(() => {
+                this._virtualFrame = null;
+                this._renderVirtualWindow();
             });
-            
-            this.selectedNodes.clear();
-            this.selectedNodes.add(path);
-            Object.assign(nodeElement.style, TreeView.CONSTANTS.STYLES.NODE_SELECTED);
+        };
+        this.container.addEventListener('scroll', this._onVirtualScroll);
+        if (typeof ResizeObserver !== 'undefined') {
+            this._resizeObserver = new ResizeObserver(this._onVirtualScroll);
+            this._resizeObserver.observe(this.container);
         }
-        
-        this.onSelectionChange(Array.from(this.selectedNodes), node);
     }
 
-    _toggleNode(path) {
-        const node = getNodeByPath(this.options.data, path);
-        if (!node) {
-            return;
+    /**
+     * Flatten the visible rows and size the scroll area for them
+     * @private
+     */
+    _renderVirtual() {
+        if (!this.virtualSpacer || this.virtualSpacer.parentNode !== this.container) {
+            this.container.innerHTML = '';
+            this._renderHeader();
+            this.virtualSpacer = document.createElement('div');
+            this.virtualSpacer.className = 'treeview-virtual-spacer';
+            Object.assign(this.virtualSpacer.style, TreeView.CONSTANTS.STYLES.VIRTUAL_SPACER);
+            this.container.appendChild(this.virtualSpacer);
         }
         
-        // Simple: just flip the expanded property on the node itself
-        // Handle undefined as false
-        const currentExpanded = node.expanded === true;
-        node.expanded = !currentExpanded;
-        
-        // Update the UI
-        this._render();
-        
-        this.onNodeExpand(path, node.expanded);
+        // The data was replaced, so none of the rendered rows can be reused
+        this.nodeElements.forEach(element => element.remove());
+        this.nodeElements.clear();
+        this._updateVirtualRows();
     }
 
-
+    /**
+     * Recompute the flattened rows after a structural change, reusing rendered rows
+     * @private
+     */
+    _updateVirtualRows() {
+        this.visibleRows = this._flattenVisibleRows();
+        this._renderVirtualWindow();
+    }
 
     /**
-     * Creates a property toggle element
+     * Create elements for the rows inside the viewport and drop the ones that scrolled out
      * @private
      */
-    _createPropertyToggle(node, path, toggleKey, toggleDefinition, onToggleClick) {
-        const isActionToggle = !toggleDefinition?.values || toggleDefinition.values.length === 0;
-        const value = isActionToggle ? null : this._getToggleValue(node, toggleKey);
-        let iconData = '?';
+    _renderVirtualWindow() {
+        if (!this.virtualSpacer) return;
         
-        if (toggleDefinition && toggleDefinition.icons) {
-            if (isActionToggle) {
-                // For action toggles, use the icon directly (not based on value)
-                iconData = typeof toggleDefinition.icons === 'string' 
-                    ? toggleDefinition.icons 
-                    : (toggleDefinition.icons.default || '?');
-            } else {
-                // For regular toggles, use icon based on current value
-                iconData = toggleDefinition.icons[value] || '?';
-            }
-        } else {
-            iconData = isActionToggle ? '⚡' : (value ? '✓' : '✗');
-        }
+        // Sized here, since 'auto' row heights are only known once the container is visible
+        const rowHeight = this._getRowHeight();
+        this.virtualSpacer.style.height = `${this.visibleRows.length * rowHeight}px`;
+        const overscan = this.options.overscan;
+        const scrollTop = this.container.scrollTop - this.virtualSpacer.offsetTop;
+        // Containers without layout (not yet attached) report 0; render a screenful anyway
+        const viewportHeight = this.container.clientHeight || rowHeight * 40;
         
-        const toggle = document.createElement('span');
-        toggle.className = 'treeview-property-toggle';
-        toggle.dataset.property = toggleKey;
-        toggle.dataset.path = path;
-        toggle.style.cursor = 'pointer';
-        toggle.style.padding = '2px';
-        toggle.style.borderRadius = '2px';
-        toggle.style.fontSize = '12px';
-        toggle.style.display = 'inline-flex';
-        toggle.style.alignItems = 'center';
-        toggle.style.justifyContent = 'center';
-        toggle.style.width = '16px';
-        toggle.style.height = '16px';
+        const first = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+        const last = Math.min(this.visibleRows.length, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
         
-        // Apply custom styles from toggle definition
-        if (toggleDefinition?.style) {
-            Object.assign(toggle.style, toggleDefinition.style);
+        const inWindow = new Set();
+        for (let i = first; i < last; i++) {
+            const row = this.visibleRows[i];
+            inWindow.add(row.node.id);
+            let element = this.nodeElements.get(row.node.id);
+            if (!element) {
+                element = this._createVirtualRow(row, rowHeight);
+                this.virtualSpacer.appendChild(element);
+            }
+            element.style.top = `${i * rowHeight}px`;
+            element.style.height = `${rowHeight}px`;
+            element.style.paddingLeft = `${4 + row.level * TreeView.CONSTANTS.LAYOUT.INDENT}px`;
         }
         
-        // Set the icon content
-        if (typeof iconData === 'string' && iconData.trim().startsWith('<svg')) {
-            toggle.innerHTML = iconData;
-            const svg = toggle.querySelector('svg');
-            if (svg) {
-                svg.style.width = '12px';
-                svg.style.height = '12px';
-                svg.style.display = 'block';
-                
-                // Apply value-specific styles for SVG
-                if (toggleDefinition?.styles && !isActionToggle) {
-                    const valueStyles = toggleDefinition.styles[value];
-                    if (valueStyles) {
-                        Object.assign(svg.style, valueStyles);
-                    }
-                } else if (toggleDefinition?.styles && isActionToggle) {
-                    const actionStyles = toggleDefinition.styles.default || toggleDefinition.styles;
-                    if (actionStyles && typeof actionStyles === 'object') {
-                        Object.assign(svg.style, actionStyles);
-                    }
-                }
+        this.nodeElements.forEach((element, id) => {
+            // The row being renamed stays rendered so the input keeps focus
+            if (!inWindow.has(id) && this._renameState?.id !== id) {
+                element.remove();
+                this.nodeElements.delete(id);
+            }
+        });
+    }
+
+    /**
+     * Create an absolutely positioned row, indented by its tree level
+     * @private
+     */
+    _createVirtualRow(row, rowHeight) {
+        const element = this._createNodeElement(row.node, row.node.id);
+        Object.assign(element.style, TreeView.CONSTANTS.STYLES.VIRTUAL_ROW);
+        element.style.height = `${rowHeight}px`;
+        return element;
+    }
+
+    /**
+     * Row height for virtualized rendering, measured from the first row when set to 'auto'.
+     * A row that measures 0 (e.g. in a hidden container) falls back to the layout
+     * constant until a later call measures it.
+     * @private
+     */
+    _getRowHeight() {
+        if (typeof this.options.rowHeight === 'number') {
+            return this.options.rowHeight;
+        }
+        if (!this._measuredRowHeight && this.visibleRows.length > 0 && this.virtualSpacer) {
+            const row = this.visibleRows[0];
+            // The probe must not replace the rendered row in nodeElements
+            const renderedElement = this.nodeElements.get(row.node.id);
+            const probe = this._createNodeElement(row.node, row.node.id);
+            if (renderedElement) {
+                this.nodeElements.set(row.node.id, renderedElement);
+            } else {
+                this.nodeElements.delete(row.node.id);
+            }
+            probe.style.visibility = 'hidden';
+            this.virtualSpacer.appendChild(probe);
+            this._measuredRowHeight = probe.getBoundingClientRect().height || null;
+            probe.remove();
+        }
+        return this._measuredRowHeight || TreeView.CONSTANTS.LAYOUT.ROW_HEIGHT;
+    }
+
+    // Tree table
+
+    /**
+     * Fill in the defaults of the table columns. Column structure:
+     * {
+     *   key: string,            // Property read from the node, or the toggle key of a toggle column
+     *   label?: string,         // Header text
+     *   type?: string,          // 'text' (default), 'number', 'toggle', 'badge' or 'custom'
+     *   width?: number,         // Width in pixels
+     *   minWidth?: number,      // Narrowest width when resizing
+     *   align?: string,         // 'left', 'center' or 'right'
+     *   sortable?: boolean,     // Clicking the header sorts siblings by this column
+     *   resizable?: boolean,    // Shows a resize handle on the left edge of the header
+     *   value?: Function,       // (node) => value, instead of node[key]
+     *   format?: Function,      // (value, node) => text shown for text, number and badge cells
+     *   compare?: Function,     // (a, b) => number, compares two nodes when sorting
+     *   colors?: Object,        // Badge background color per value
+     *   render?: Function,      // (node, value, tree) => element or HTML string, for custom cells
+     * }
+     * Toggles in toggleOrder without a column of their own get one at the end,
+     * so the header lines up with every toggle.
+     * @private
+     */
+    _normalizeColumns(columns) {
+        if (columns.length === 0) return [];
+        const types = ['text', 'number', 'toggle', 'badge', 'custom'];
+        const normalize = (column) => {
+            let type = column.type || 'text';
+            if (!types.includes(type)) {
+                console.warn(`Unknown column type '${type}' for column '${column.key}', showing it as text`);
+                type = 'text';
+            }
+            const isToggle = type === 'toggle';
+            const toggleDefinition = isToggle ? this.options.toggleDefinitions[column.key] : null;
+            if (isToggle && !toggleDefinition) {
+                console.warn(`Toggle column '${column.key}' has no toggle definition`);
+            }
+            const width = isToggle ? LAYOUT.TOGGLE_COLUMN_WIDTH : LAYOUT.COLUMN_WIDTH;
+            return {
+                ...column,
+                type,
+                label: column.label ?? (isToggle ? '' : column.key),
+                width: column.width ?? width,
+                minWidth: column.minWidth ?? Math.min(width, LAYOUT.MIN_COLUMN_WIDTH),
+                align: column.align || (type === 'number' ? 'right' : isToggle ? 'center' : 'left'),
+                // Action toggles have no value to sort by
+                sortable: column.sortable ?? (isToggle ? toggleDefinition?.values?.length > 0 : type !== 'custom' || !!column.value),
+                resizable: column.resizable ?? !isToggle,
+            };
+        };
+        
+        const normalized = [];
+        columns.forEach(column => {
+            if (normalized.some(existing => existing.key === column.key)) {
+                console.warn(`Duplicate column '${column.key}' is ignored`);
+                return;
+            }
+            normalized.push(normalize(column));
+        });
+        this.options.toggleOrder.forEach(key => {
+            if (!normalized.some(column => column.type === 'toggle' && column.key === key)) {
+                normalized.push(normalize({ key, type: 'toggle' }));
             }
+        });
+        return normalized;
+    }
+
+    /**
+     * @private
+     */
+    _getColumn(key) {
+        return this.columns.find(column => column.key === key) || null;
+    }
+
+    /**
+     * Add the sticky column header to the container (table mode only)
+     * @private
+     */
+    _renderHeader() {
+        this.headerElement = null;
+        if (this.columns.length === 0) return;
+        
+        const header = document.createElement('div');
+        header.className = 'treeview-header';
+        header.setAttribute('role', 'row');
+        Object.assign(header.style, TreeView.CONSTANTS.STYLES.TABLE_HEADER);
+        const treeColumn = this.options.treeColumn;
+        header.appendChild(this._createHeaderCell({
+            key: 'label',
+            label: treeColumn.label ?? 'Name',
+            sortable: treeColumn.sortable !== false,
+            resizable: false
+        }, true));
+        
+        const cells = document.createElement('div');
+        cells.className = 'treeview-header-cells';
+        Object.assign(cells.style, TreeView.CONSTANTS.STYLES.TABLE_CELLS);
+        this.columns.forEach(column => cells.appendChild(this._createHeaderCell(column)));
+        header.appendChild(cells);
+        
+        this.headerElement = header;
+        this.container.appendChild(header);
+        this._updateHeaderSort();
+    }
+
+    /**
+     * Create a header cell. The label column fills the space left of the other columns.
+     * @private
+     */
+    _createHeaderCell(column, isTreeColumn = false) {
+        const cell = document.createElement('div');
+        cell.className = 'treeview-header-cell';
+        cell.dataset.column = column.key;
+        cell.setAttribute('role', 'columnheader');
+        Object.assign(cell.style, TreeView.CONSTANTS.STYLES.TABLE_HEADER_CELL);
+        if (isTreeColumn) {
+            cell.style.flex = '1 1 auto';
+            cell.style.minWidth = '0';
         } else {
-            toggle.textContent = iconData;
-            // Apply value-specific styles for text icons
-            if (toggleDefinition?.styles && !isActionToggle) {
-                const valueStyles = toggleDefinition.styles[value];
-                if (valueStyles) {
-                    Object.assign(toggle.style, valueStyles);
+            cell.style.width = `${column.width}px`;
+            cell.style.textAlign = column.align;
+        }
+        if (column.type === 'toggle') {
+            cell.style.padding = '0';
+        }
+        cell.title = column.label || this.options.toggleDefinitions[column.key]?.label || column.key;
+        
+        const text = document.createElement('span');
+        text.textContent = column.label;
+        cell.appendChild(text);
+        
+        if (column.sortable) {
+            const indicator = document.createElement('span');
+            indicator.className = 'treeview-sort-indicator';
+            indicator.setAttribute('aria-hidden', 'true');
+            cell.appendChild(indicator);
+            cell.tabIndex = 0;
+            Object.assign(cell.style, TreeView.CONSTANTS.STYLES.TABLE_HEADER_SORTABLE);
+            cell.addEventListener('click', () => this._cycleColumnSort(column.key));
+            cell.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this._cycleColumnSort(column.key);
                 }
+            });
+        }
+        
+        if (column.resizable) {
+            const resizer = document.createElement('div');
+            resizer.className = 'treeview-column-resizer';
+            Object.assign(resizer.style, TreeView.CONSTANTS.STYLES.COLUMN_RESIZER);
+            resizer.addEventListener('pointerdown', (e) => this._startColumnResize(e, column));
+            resizer.addEventListener('click', (e) => e.stopPropagation()); // Ends a resize, not a sort click
+            cell.appendChild(resizer);
+        }
+        return cell;
+    }
+
+    /**
+     * Show the sort direction in the header
+     * @private
+     */
+    _updateHeaderSort() {
+        if (!this.headerElement) return;
+        this.headerElement.querySelectorAll('.treeview-header-cell').forEach(cell => {
+            const indicator = cell.querySelector('.treeview-sort-indicator');
+            if (!indicator) return;
+            const direction = this._columnSort?.key === cell.dataset.column ? this._columnSort.direction : null;
+            indicator.textContent = direction ? ` ${direction === 'asc' ? ICONS.SORT_ASC : ICONS.SORT_DESC}` : '';
+            cell.setAttribute('aria-sort', direction ? (direction === 'asc' ? 'ascending' : 'descending') : 'none');
+        });
+    }
+
+    /**
+     * Header click: ascending, then descending, then the data order again
+     * @private
+     */
+    _cycleColumnSort(key) {
+        const current = this._columnSort?.key === key ? this._columnSort.direction : null;
+        const hadFocus = document.activeElement?.closest?.('.treeview-header-cell')?.dataset.column === key;
+        this.sortByColumn(key, current === null ? 'asc' : current === 'asc' ? 'desc' : null);
+        if (hadFocus) {
+            // A filtered tree renders again, header included
+            this.headerElement?.querySelector(`.treeview-header-cell[data-column="${key}"]`)?.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Drag the left edge of a header cell to resize its column
+     * @private
+     */
+    _startColumnResize(event, column) {
+        if (event.button !== 0) return;
+        event.preventDefault();
+        event.stopPropagation();
+        const resizer = event.currentTarget;
+        const startX = event.clientX;
+        const startWidth = column.width;
+        resizer.setPointerCapture?.(event.pointerId);
+        
+        const onMove = (e) => this._setColumnWidth(column, startWidth + startX - e.clientX);
+        const onEnd = () => {
+            resizer.removeEventListener('pointermove', onMove);
+            resizer.removeEventListener('pointerup', onEnd);
+            resizer.removeEventListener('pointercancel', onEnd);
+            if (column.width !== startWidth) {
+                this.onColumnResize(column.key, column.width);
+            }
+        };
+        resizer.addEventListener('pointermove', onMove);
+        resizer.addEventListener('pointerup', onEnd);
+        resizer.addEventListener('pointercancel', onEnd);
+    }
+
+    /**
+     * Apply a column width to the header and the rendered cells
+     * @returns {boolean} True if the width changed
+     * @private
+     */
+    _setColumnWidth(column, width) {
+        const newWidth = Math.max(column.minWidth, Math.round(width));
+        if (newWidth === column.width) return false;
+        column.width = newWidth;
+        this.container.querySelectorAll(`.treeview-header-cell[data-column="${column.key}"], .treeview-cell[data-column="${column.key}"]`)
+            .forEach(cell => {
+                cell.style.width = `${newWidth}px`;
+            });
+        this._scheduleViewStateSave();
+        return true;
+    }
+
+    /**
+     * Create the cells of a row, one per column
+     * @private
+     */
+    _createCells(node, id) {
+        const cells = document.createElement('div');
+        cells.className = 'treeview-cells';
+        Object.assign(cells.style, TreeView.CONSTANTS.STYLES.TABLE_CELLS);
+        this.columns.forEach(column => cells.appendChild(this._createCell(column, node, id)));
+        return cells;
+    }
+
+    /**
+     * @private
+     */
+    _createCell(column, node, id) {
+        const cell = document.createElement('div');
+        cell.className = 'treeview-cell';
+        cell.dataset.column = column.key;
+        Object.assign(cell.style, TreeView.CONSTANTS.STYLES.TABLE_CELL);
+        cell.style.width = `${column.width}px`;
+        cell.style.textAlign = column.align;
+        
+        if (column.type === 'toggle') {
+            cell.style.padding = '0';
+            // Left empty when the toggle does not apply, like the toggle columns outside table mode
+            if (this.model.shouldShowToggle(node, column.key)) {
+                const toggleDefinition = this.options.toggleDefinitions[column.key];
+                cell.appendChild(this._createPropertyToggle(node, id, column.key, toggleDefinition, this.onToggleClick));
             }
+            return cell;
         }
         
-        toggle.title = isActionToggle 
-            ? (toggleDefinition?.label || toggleKey)
-            : `${toggleDefinition?.label || toggleKey}: ${value}`;
+        const value = this._getCellValue(column, node);
+        if (column.type === 'custom') {
+            const content = column.render ? column.render(node, value, this) : null;
+            if (typeof content === 'string') {
+                cell.innerHTML = content;
+            } else if (content) {
+                cell.appendChild(content);
+            }
+            return cell;
+        }
+        if (value == null || value === '') return cell;
         
-        toggle.addEventListener('mouseenter', () => {
-            toggle.style.backgroundColor = '#555';
+        const text = String(column.format ? column.format(value, node) : value);
+        if (column.type === 'badge') {
+            const badge = document.createElement('span');
+            badge.className = 'treeview-badge';
+            Object.assign(badge.style, TreeView.CONSTANTS.STYLES.TABLE_BADGE);
+            if (column.colors?.[value]) {
+                badge.style.backgroundColor = column.colors[value];
+            }
+            badge.textContent = text;
+            cell.appendChild(badge);
+        } else {
+            cell.textContent = text;
+        }
+        cell.title = text; // Full text of cells cut off with an ellipsis
+        return cell;
+    }
+
+    /**
+     * Value shown in a cell: the effective value for toggle columns (null where
+     * the toggle is hidden), otherwise column.value(node) or node[key]
+     * @private
+     */
+    _getCellValue(column, node) {
+        if (column.type === 'toggle') {
+            return this.model.shouldShowToggle(node, column.key) ? this.model.getEffectiveToggleValue(node, column.key) : null;
+        }
+        return column.value ? column.value(node) : node[column.key];
+    }
+
+    /**
+     * Value a node is sorted by in a column. Toggles sort in the order of their values.
+     * @private
+     */
+    _getSortValue(column, node) {
+        if (!column) {
+            return this._getNodeLabel(node); // The label column
+        }
+        if (column.type === 'toggle') {
+            return this._getToggleSortValue(node, column.key);
+        }
+        const value = this._getCellValue(column, node);
+        if (column.type === 'number' && value != null && value !== '') {
+            const number = Number(value);
+            return Number.isNaN(number) ? null : number;
+        }
+        return value;
+    }
+
+    /**
+     * Sort spec of the column sort, see _sortNodes
+     * @private
+     */
+    _getColumnSortSpec() {
+        const { key, direction } = this._columnSort;
+        const column = this._getColumn(key);
+        if (column?.compare) {
+            return { compare: column.compare, direction, keys: null };
+        }
+        // Computed values may depend on any property
+        return { value: (node) => this._getSortValue(column, node), direction, keys: column?.value ? null : [key] };
+    }
+
+    /**
+     * Sort siblings within each parent by a column, without changing the data
+     * @param {string|null} key - Column key, 'label' for the label column, or null to go back to the sort rules
+     * @param {string|null} [direction='asc'] - 'asc', 'desc' or null to go back to the sort rules
+     */
+    sortByColumn(key, direction = 'asc') {
+        if (key != null && key !== 'label' && !this._getColumn(key)) {
+            console.warn(`Cannot sort by unknown column '${key}'`);
+            return;
+        }
+        if (direction != null && direction !== 'asc' && direction !== 'desc') {
+            console.warn(`Unknown sort direction '${direction}', use 'asc' or 'desc'`);
+            return;
+        }
+        const sort = key != null && direction ? { key, direction } : null;
+        if (sort?.key === this._columnSort?.key && sort?.direction === this._columnSort?.direction) return;
+        
+        this._columnSort = sort;
+        this._updateHeaderSort();
+        this._resortChildren();
+        this._scheduleViewStateSave();
+        this.onSortChange(this.getColumnSort());
+    }
+
+    /**
+     * Current column sort
+     * @returns {{key: string, direction: string}|null}
+     */
+    getColumnSort() {
+        return this._columnSort ? { ...this._columnSort } : null;
+    }
+
+    /**
+     * Resize a column
+     * @param {string} key - Column key
+     * @param {number} width - Width in pixels, at least the column's minWidth
+     */
+    setColumnWidth(key, width) {
+        const column = this._getColumn(key);
+        if (!column) {
+            console.warn(`Cannot resize unknown column '${key}'`);
+            return;
+        }
+        if (this._setColumnWidth(column, width)) {
+            this.onColumnResize(key, column.width);
+        }
+    }
+
+    /**
+     * Current column widths
+     * @returns {Object} Width in pixels per column key
+     */
+    getColumnWidths() {
+        return Object.fromEntries(this.columns.map(column => [column.key, column.width]));
+    }
+
+    _createNodeElement(node, id) {
+        if (node.placeholder) {
+            return this._createPlaceholderElement(node);
+        }
+        const nodeDiv = document.createElement('div');
+        nodeDiv.className = 'treeview-node';
+        nodeDiv.dataset.id = id;
+        nodeDiv.setAttribute('role', 'treeitem');
+        nodeDiv.tabIndex = id === this._getTabStopId() ? 0 : -1;
+        Object.assign(nodeDiv.style, TreeView.CONSTANTS.STYLES.NODE);
+        this._updateRowAttributes(nodeDiv, node);
+        
+        // Apply node type styling
+        const nodeType = node.type || 'custom';
+        const nodeTypeDefinition = this.options.nodeTypes[nodeType];
+        if (nodeTypeDefinition?.style) {
+            Object.assign(nodeDiv.style, nodeTypeDefinition.style);
+        }
+        
+        nodeDiv.appendChild(this._createNodeContent(node, id));
+        
+        // Event listeners
+        nodeDiv.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this._handleNodeClick(node, id, nodeDiv, e);
         });
         
-        toggle.addEventListener('mouseleave', () => {
-            toggle.style.backgroundColor = '';
+        if (this.options.enableContextMenu) {
+            nodeDiv.addEventListener('contextmenu', (e) => {
+                this._handleContextMenu(e, id);
+            });
+        }
+        
+        // Add drag and drop event listeners if enabled
+        if (this.options.enableDragDrop) {
+            nodeDiv.title = `Drag to reorder. Can be dropped into: ${this._getAllowedParentTypes(node).join(', ') || 'none'}`;
+        }
+        if (this.options.enableDragDrop && this.options.dragMode === 'pointer') {
+            nodeDiv.addEventListener('pointerdown', (e) => {
+                this._handlePointerDown(e, node, id);
+            });
+        } else if (this.options.enableDragDrop) {
+            nodeDiv.setAttribute('draggable', 'true');
+            
+            nodeDiv.addEventListener('dragstart', (e) => {
+                this._handleDragStart(e, node, id, nodeDiv);
+            });
+            
+            nodeDiv.addEventListener('dragover', (e) => {
+                this._handleDragOver(e, node, id, nodeDiv);
+            });
+            
+            nodeDiv.addEventListener('dragenter', (e) => {
+                this._handleDragEnter(e, node, id, nodeDiv);
+            });
+            
+            nodeDiv.addEventListener('dragleave', (e) => {
+                this._handleDragLeave(e, node, id, nodeDiv);
+            });
+            
+            nodeDiv.addEventListener('drop', (e) => {
+                this._handleDrop(e, node, id, nodeDiv);
+            });
+            
+            nodeDiv.addEventListener('dragend', (e) => {
+                this._handleDragEnd(e);
+            });
+        }
+        
+        // Touch has no hover; the style would stick after a tap
+        nodeDiv.addEventListener('pointerenter', (e) => {
+            if (e.pointerType !== 'touch' && !this.selectedNodes.has(id)) {
+                Object.assign(nodeDiv.style, TreeView.CONSTANTS.STYLES.NODE_HOVER);
+            }
         });
         
-        // Add click handler
-        toggle.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this._handleToggleClick(node, path, toggleKey, toggleDefinition, onToggleClick);
+        nodeDiv.addEventListener('pointerleave', () => {
+            if (!this.selectedNodes.has(id)) {
+                nodeDiv.style.backgroundColor = '';
+            }
         });
         
-        return toggle;
+        nodeDiv.addEventListener('focus', () => {
+            Object.assign(nodeDiv.style, TreeView.CONSTANTS.STYLES.NODE_FOCUSED);
+        });
+        
+        nodeDiv.addEventListener('blur', () => {
+            nodeDiv.style.outline = '';
+        });
+        
+        // Apply selection styling if selected
+        if (this.selectedNodes.has(id)) {
+            Object.assign(nodeDiv.style, TreeView.CONSTANTS.STYLES.NODE_SELECTED);
+        }
+        if (this._isCut(id) || this.draggedIds.includes(id)) {
+            Object.assign(nodeDiv.style, TreeView.CONSTANTS.STYLES.NODE_CUT);
+        }
+        if (this._flash?.id === id) {
+            Object.assign(nodeDiv.style, TreeView.CONSTANTS.STYLES.NODE_FLASH);
+        }
+        
+        this.nodeElements.set(id, nodeDiv);
+        return nodeDiv;
+    }
+
+    /**
+     * Update the ARIA state of a row
+     * @private
+     */
+    _updateRowAttributes(element, node) {
+        const hasChildren = this._hasChildren(node);
+        element.setAttribute('aria-level', String(getAncestorIds(this.nodeIndex, node.id).length + 1));
+        element.setAttribute('aria-selected', String(this.selectedNodes.has(node.id)));
+        if (hasChildren) {
+            element.setAttribute('aria-expanded', String(this._isExpanded(node)));
+        } else {
+            element.removeAttribute('aria-expanded');
+        }
+        if (this._lazyState.get(node.id)?.status === 'loading') {
+            element.setAttribute('aria-busy', 'true');
+        } else {
+            element.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * Create the content of a row (expand icon, type icon, label and toggles)
+     * @private
+     */
+    _createNodeContent(node, id) {
+        const nodeTypeDefinition = this.options.nodeTypes[node.type || 'custom'];
+        const contentDiv = document.createElement('div');
+        Object.assign(contentDiv.style, TreeView.CONSTANTS.STYLES.NODE_CONTENT);
+        if (this.options.virtualize) {
+            contentDiv.style.flex = '1 1 auto';
+            contentDiv.style.minWidth = '0';
+        }
+        
+        // Apply node type content styling
+        if (nodeTypeDefinition?.contentStyle) {
+            Object.assign(contentDiv.style, nodeTypeDefinition.contentStyle);
+        }
+        
+        // Use custom renderer if provided, otherwise use default
+        if (this.options.nodeRenderer) {
+            const customContent = this.options.nodeRenderer(node, id, {
+                isExpanded: this._isExpanded(node),
+                isSelected: this.selectedNodes.has(id),
+                hasChildren: this._hasChildren(node)
+            });
+            if (customContent) {
+                if (typeof customContent === 'string') {
+                    contentDiv.innerHTML = customContent;
+                } else {
+                    contentDiv.appendChild(customContent);
+                }
+            }
+        } else {
+            // Use default renderer with toggle support
+            const defaultContent = this._defaultNodeRenderer(node, id, {
+                isExpanded: this._isExpanded(node),
+                isSelected: this.selectedNodes.has(id),
+                hasChildren: this._hasChildren(node)
+            });
+            if (defaultContent) {
+                contentDiv.appendChild(defaultContent);
+            }
+        }
+        
+        if (this.columns.length > 0) {
+            contentDiv.appendChild(this._createCells(node, id));
+        }
+        
+        return contentDiv;
+    }
+    _handleNodeClick(node, id, nodeElement, event) {
+        const modified = event?.ctrlKey || event?.metaKey || event?.shiftKey;
+        
+        // Handle expansion/collapse (modifier clicks only change the selection)
+        if (!modified && this._hasChildren(node)) {
+            this._toggleNode(id);
+        }
+        
+        this._focusNode(id, { scroll: false });
+        this._selectNode(id, event);
+    }
+
+    /**
+     * Select a node. With multiSelect enabled, ctrl/cmd toggles the node and
+     * shift selects the visible rows between the anchor and the node
+     * (ctrl+shift adds that range to the current selection).
+     * @private
+     */
+    _selectNode(id, event) {
+        const multiSelect = this.options.multiSelect;
+        const toggle = multiSelect && (event?.ctrlKey || event?.metaKey);
+        const range = multiSelect && event?.shiftKey;
+        
+        if (range) {
+            const rangeIds = this._getRangeIds(this.anchorId ?? id, id);
+            this._updateSelection(toggle ? [...this.selectedNodes, ...rangeIds] : rangeIds, { node: this.getNodeById(id) });
+        } else if (toggle) {
+            const ids = new Set(this.selectedNodes);
+            if (ids.has(id)) {
+                ids.delete(id);
+            } else {
+                ids.add(id);
+            }
+            this._updateSelection(ids, { anchorId: id, node: this.getNodeById(id) });
+        } else {
+            this._updateSelection([id], { anchorId: id, node: this.getNodeById(id) });
+        }
+    }
+
+    /**
+     * Ids of the visible rows between two nodes (inclusive), in display order.
+     * Falls back to the target alone when the anchor is not visible.
+     * @private
+     */
+    _getRangeIds(fromId, toId) {
+        const rows = this._getVisibleRows();
+        const from = rows.findIndex(row => row.node.id === fromId);
+        const to = rows.findIndex(row => row.node.id === toId);
+        if (from < 0 || to < 0) {
+            return [toId];
+        }
+        return rows.slice(Math.min(from, to), Math.max(from, to) + 1).map(row => row.node.id);
+    }
+
+    /**
+     * Replace the selection, restyle only the rows that changed and report the
+     * difference through onSelectionChange
+     * @private
+     */
+    _updateSelection(ids, { anchorId, node = null, silent = false } = {}) {
+        const previous = new Set(this.selectedNodes);
+        this.selectedNodes.clear();
+        for (const id of ids) {
+            if (this.nodeIndex.has(id)) this.selectedNodes.add(id);
+        }
+        if (anchorId !== undefined) {
+            this.anchorId = anchorId;
+        }
+        
+        const added = Array.from(this.selectedNodes).filter(id => !previous.has(id));
+        const removed = Array.from(previous).filter(id => !this.selectedNodes.has(id));
+        added.forEach(id => this._applySelectionStyle(id));
+        removed.forEach(id => this._applySelectionStyle(id));
+        
+        if (added.length > 0 || removed.length > 0) {
+            this._scheduleViewStateSave();
+        }
+        if (!silent && (added.length > 0 || removed.length > 0)) {
+            this.onSelectionChange(Array.from(this.selectedNodes), node || this.getNodeById(this.focusedId), {
+                added,
+                removed,
+                anchorId: this.anchorId,
+                focusedId: this.focusedId
+            });
+        }
+    }
+
+    /**
+     * Apply or clear the selection styling of a rendered row
+     * @private
+     */
+    _applySelectionStyle(id) {
+        const element = this.nodeElements.get(id);
+        if (!element) return;
+        const selected = this.selectedNodes.has(id);
+        if (selected) {
+            Object.assign(element.style, TreeView.CONSTANTS.STYLES.NODE_SELECTED);
+        } else {
+            element.style.backgroundColor = '';
+            element.style.color = '';
+        }
+        element.setAttribute('aria-selected', String(selected));
+    }
+
+    _toggleNode(id) {
+        const node = this.getNodeById(id);
+        if (!node) {
+            return;
+        }
+        
+        // While filtering only the filter view changes, the stored expanded state is kept
+        let expanded;
+        if (this._filterExpanded) {
+            expanded = !this._filterExpanded.has(id);
+            if (expanded) {
+                this._filterExpanded.add(id);
+            } else {
+                this._filterExpanded.delete(id);
+            }
+        } else {
+            // Simple: just flip the expanded property on the node itself
+            // Handle undefined as false
+            expanded = node.expanded !== true;
+            this._updateModel(() => this.model.setExpanded(id, expanded));
+        }
+        
+        // Update the UI
+        this._refreshExpanded(id);
+        if (expanded) {
+            this._ensureChildrenLoaded(node);
+        }
+        
+        this.onNodeExpand(id, expanded);
+    }
+
+    // Keyboard navigation
+
+    /**
+     * Id of the row that is reachable with Tab
+     * @private
+     */
+    _getTabStopId() {
+        if (this.focusedId && this.nodeIndex.has(this.focusedId)
+            && (!this._filterVisible || this._filterVisible.has(this.focusedId))) {
+            return this.focusedId;
+        }
+        return this._getDisplayRows(null).find(row => !row.placeholder)?.id ?? null;
+    }
+
+    /**
+     * Move the roving tabindex to a row (and the toggles inside it)
+     * @private
+     */
+    _setFocusedId(id) {
+        const previous = this.nodeElements.get(this._getTabStopId());
+        if (previous) {
+            previous.tabIndex = -1;
+            previous.querySelectorAll('.treeview-property-toggle').forEach(toggle => { toggle.tabIndex = -1; });
+        }
+        this.focusedId = id;
+        const element = this.nodeElements.get(id);
+        if (element) {
+            element.tabIndex = 0;
+            element.querySelectorAll('.treeview-property-toggle').forEach(toggle => { toggle.tabIndex = 0; });
+        }
+        this._scheduleViewStateSave();
+    }
+
+    /**
+     * Focus a row, scrolling it into view first
+     * @private
+     */
+    _focusNode(id, { scroll = true } = {}) {
+        if (!this.nodeIndex.has(id)) return;
+        this._setFocusedId(id);
+        if (scroll) {
+            this._scrollToNode(id);
+        }
+        this.nodeElements.get(id)?.focus({ preventScroll: true });
+    }
+
+    /**
+     * Scroll a visible row into view, only scrolling the container. In
+     * virtualized mode the window is rendered immediately so the row element
+     * exists afterwards.
+     * @param {string} id - Node id
+     * @param {Object} [options]
+     * @param {string} [options.block='nearest'] - 'nearest' scrolls as little as possible, 'center' centers the row
+     * @private
+     */
+    _scrollToNode(id, { block = 'nearest' } = {}) {
+        let top;
+        let rowHeight;
+        if (this.options.virtualize) {
+            const index = this.visibleRows.findIndex(row => row.node.id === id);
+            if (index < 0) return;
+            rowHeight = this._getRowHeight();
+            top = this.virtualSpacer.offsetTop + index * rowHeight;
+        } else {
+            const element = this.nodeElements.get(id);
+            if (!element) return;
+            const rect = element.getBoundingClientRect();
+            // Offset of the row in the scrolled content
+            top = rect.top - this.container.getBoundingClientRect().top - this.container.clientTop + this.container.scrollTop;
+            rowHeight = rect.height;
+        }
+        
+        // The sticky column header covers the top of the viewport
+        const headerHeight = this.headerElement?.offsetHeight || 0;
+        const viewportHeight = this.container.clientHeight;
+        if (block === 'center') {
+            this.container.scrollTop = top - headerHeight - (viewportHeight - headerHeight - rowHeight) / 2;
+        } else if (top - headerHeight < this.container.scrollTop) {
+            this.container.scrollTop = top - headerHeight;
+        } else if (top + rowHeight > this.container.scrollTop + viewportHeight) {
+            this.container.scrollTop = top + rowHeight - viewportHeight;
+        }
+        if (this.options.virtualize) {
+            this._renderVirtualWindow();
+        }
+    }
+
+    /**
+     * Rows that are currently visible, in display order
+     * @private
+     */
+    _getVisibleRows() {
+        const rows = this.options.virtualize ? this.visibleRows : this._flattenVisibleRows();
+        return rows.filter(row => !row.node.placeholder); // Loading and error rows cannot be focused or selected
+    }
+
+    /**
+     * Flatten the displayed rows, honouring the filter
+     * @private
+     */
+    _flattenVisibleRows() {
+        return flattenVisibleNodes(this._getDisplayRows(null), {
+            isExpanded: node => this._isExpanded(node),
+            getChildren: node => this._getDisplayRows(node)
+        });
+    }
+
+    /**
+     * Effective expansion state: the filter view while filtering, otherwise node.expanded
+     * @private
+     */
+    _isExpanded(node) {
+        return this._filterExpanded ? this._filterExpanded.has(node.id) : node.expanded === true;
+    }
+
+    /**
+     * Children that are displayed for a node (null for the root nodes)
+     * @private
+     */
+    _getDisplayChildren(node) {
+        const lazyState = node ? this._lazyState.get(node.id) : null;
+        if (lazyState) {
+            return [lazyState.placeholder];
+        }
+        const children = node ? (node.children || []) : this.options.data;
+        const displayed = this._filterVisible ? children.filter(child => this._filterVisible.has(child.id)) : children;
+        const sort = this._getChildSort(node);
+        return sort ? this._sortNodes(displayed, sort) : displayed;
+    }
+
+    /**
+     * Rows shown for the children of a node: the displayed children, preceded
+     * by group header rows while grouping
+     * @private
+     */
+    _getDisplayRows(node) {
+        const children = this._getDisplayChildren(node);
+        return this._groupBy ? this._groupRows(node, children) : children;
+    }
+
+    /**
+     * Whether a node shows an expand icon: it has displayed children or
+     * children that were not loaded yet
+     * @private
+     */
+    _hasChildren(node) {
+        return this._getDisplayChildren(node).length > 0 || (this._isLazy(node) && !Array.isArray(node.children));
+    }
+
+    /**
+     * Keyboard handling following the WAI-ARIA tree pattern
+     * @private
+     */
+    _handleKeyDown(event) {
+        if (event.target.closest?.('.treeview-property-toggle, .treeview-rename-input, .treeview-header')) return; // They handle their own keys
+        
+        // Undo/redo also work when every node was removed
+        const commandKey = (event.ctrlKey || event.metaKey) ? event.key.toLowerCase() : null;
+        if (this.options.enableHistory && (commandKey === 'z' || commandKey === 'y')) {
+            if (commandKey === 'y' || event.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+            event.preventDefault();
+            event.stopPropagation();
+            return;
+        }
+        
+        const rows = this._getVisibleRows();
+        if (rows.length === 0) return;
+
+        const index = Math.max(0, rows.findIndex(row => row.node.id === this._getTabStopId()));
+        const { node, parent } = rows[index];
+        const hasChildren = this._hasChildren(node);
+        
+        // Shift extends the selection from the anchor while moving focus
+        const moveTo = (targetId) => {
+            this._focusNode(targetId);
+            if (event.shiftKey && this.options.multiSelect) {
+                this._selectNode(targetId, event);
+            }
+        };
+        
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'a' && this.options.multiSelect) {
+            this.selectAll();
+            event.preventDefault();
+            event.stopPropagation();
+            return;
+        }
+        
+        // Ctrl+C, Ctrl+X and Ctrl+V arrive as clipboard events, see _handleClipboardEvent
+        if (commandKey === 'd') {
+            this.duplicateNodes(this._getContextIds(node.id));
+            event.preventDefault();
+            event.stopPropagation();
+            return;
+        }
+        
+        if ((event.key === 'F10' && event.shiftKey) || event.key === 'ContextMenu') {
+            if (this.options.enableContextMenu) {
+                this.openContextMenu(node.id);
+                event.preventDefault();
+                event.stopPropagation();
+            }
+            return;
+        }
+        
+        // Toggle hotkeys act like a click on the focused row's toggle
+        const hotkeyToggle = this._isTypeAheadKey(event) ? null : this._getToggleForHotkey(event);
+        if (hotkeyToggle) {
+            if (this.model.shouldShowToggle(node, hotkeyToggle)) {
+                this._handleToggleClick(node, node.id, hotkeyToggle, this.options.toggleDefinitions[hotkeyToggle], this.onToggleClick, event);
+            }
+            event.preventDefault();
+            event.stopPropagation();
+            return;
+        }
+        
+        let handled = true;
+        switch (event.key) {
+            case 'ArrowDown':
+                moveTo(rows[Math.min(index + 1, rows.length - 1)].node.id);
+                break;
+            case 'ArrowUp':
+                moveTo(rows[Math.max(index - 1, 0)].node.id);
+                break;
+            case 'Home':
+                moveTo(rows[0].node.id);
+                break;
+            case 'End':
+                moveTo(rows[rows.length - 1].node.id);
+                break;
+            case 'ArrowRight':
+                if (hasChildren && !this._isExpanded(node)) {
+                    this._toggleNode(node.id);
+                } else if (this._lazyState.get(node.id)?.status === 'error') {
+                    this._loadChildren(node); // Retry
+                } else if (hasChildren && rows[index + 1]?.parent === node) {
+                    this._focusNode(rows[index + 1].node.id);
+                }
+                break;
+            case 'ArrowLeft':
+                if (hasChildren && this._isExpanded(node)) {
+                    this._toggleNode(node.id);
+                } else if (parent) {
+                    this._focusNode(parent.id);
+                }
+                break;
+            case 'Enter':
+            case ' ':
+                this._selectNode(node.id, event);
+                break;
+            case 'F2':
+                this.startRename(node.id);
+                break;
+            case 'Delete':
+                this._requestRemove(this._getContextIds(node.id));
+                break;
+            default:
+                handled = this._handleTypeAhead(event, rows, index);
+        }
+        
+        if (handled) {
+            event.preventDefault();
+            event.stopPropagation();
+        }
+    }
+
+    /**
+     * Focus the next row whose label starts with the typed characters
+     * @private
+     */
+    _handleTypeAhead(event, rows, index) {
+        if (event.key.length !== 1 || event.ctrlKey || event.metaKey || event.altKey) {
+            return false;
+        }
+        
+        clearTimeout(this._typeAheadTimer);
+        this._typeAheadBuffer += event.key.toLowerCase();
+        this._typeAheadTimer = setTimeout(() => {
+            this._typeAheadBuffer = '';
+        }, TreeView.CONSTANTS.DELAYS.TYPE_AHEAD);
+        
+        // A single character searches from the next row, so repeating it cycles through matches
+        const search = this._typeAheadBuffer;
+        const start = search.length === 1 ? index + 1 : index;
+        for (let i = 0; i < rows.length; i++) {
+            const row = rows[(start + i) % rows.length];
+            if (this._getNodeLabel(row.node).toLowerCase().startsWith(search)) {
+                this._focusNode(row.node.id);
+                break;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Keyboard handling for toggle buttons: Enter/Space activate, Left/Right
+     * move between the toggles of the row, Escape returns to the row
+     * @private
+     */
+    _handleToggleKeyDown(event, toggle, activate) {
+        const toggles = Array.from(toggle.closest('.treeview-node')?.querySelectorAll('.treeview-property-toggle') || []);
+        const index = toggles.indexOf(toggle);
+        
+        switch (event.key) {
+            case 'Enter':
+            case ' ':
+                activate();
+                break;
+            case 'ArrowRight':
+                toggles[Math.min(index + 1, toggles.length - 1)]?.focus();
+                break;
+            case 'ArrowLeft':
+                toggles[Math.max(index - 1, 0)]?.focus();
+                break;
+            case 'Escape':
+                toggle.closest('.treeview-node')?.focus();
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+    }
+
+    // Inline renaming
+
+    /**
+     * Check whether a node may be renamed inline
+     * @private
+     */
+    _canRename(node) {
+        if (!this.options.enableRename || !node) return false;
+        return this.options.nodeTypes[node.type || 'custom']?.renamable !== false && node.renamable !== false;
+    }
+
+    /**
+     * Replace the label of a row with an input. Enter commits, Escape cancels,
+     * and moving focus away commits when the new label is valid.
+     * @param {string} id - Node id
+     * @returns {boolean} True if editing started
+     */
+    startRename(id) {
+        const node = this.getNodeById(id);
+        if (!this._canRename(node)) return false;
+        if (this._renameState) {
+            this._finishRename(true);
+        }
+        
+        this._scrollToNode(id);
+        const element = this.nodeElements.get(id);
+        const label = element?.querySelector('.treeview-label');
+        if (!label) return false; // Custom renderers without a label span cannot be edited inline
+        
+        const oldLabel = this._getNodeLabel(node);
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'treeview-rename-input';
+        input.value = oldLabel;
+        input.size = Math.max(10, oldLabel.length + 2);
+        input.setAttribute('aria-label', `Rename ${oldLabel}`);
+        Object.assign(input.style, TreeView.CONSTANTS.STYLES.RENAME_INPUT);
+        
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this._finishRename(true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this._finishRename(false);
+            }
+        });
+        input.addEventListener('input', () => this._showRenameError(this._validateLabel(node, input.value.trim())));
+        input.addEventListener('blur', () => {
+            // Invalid labels are discarded when focus leaves the input
+            if (this._renameState?.input === input && !this._finishRename(true)) {
+                this._finishRename(false);
+            }
+        });
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('dblclick', (e) => e.stopPropagation());
+        
+        label.replaceChildren(input);
+        element.draggable = false;
+        this._renameState = { id, input, element };
+        input.focus();
+        input.select();
+        return true;
+    }
+
+    /**
+     * Stop editing. Returns false when committing failed validation (editing continues).
+     * @private
+     */
+    _finishRename(commit) {
+        const state = this._renameState;
+        if (!state) return true;
+        const node = this.getNodeById(state.id);
+        let renamed = false;
+        
+        if (commit && node) {
+            const oldLabel = this._getNodeLabel(node);
+            const newLabel = state.input.value.trim();
+            const error = this._validateLabel(node, newLabel);
+            if (error) {
+                this._showRenameError(error);
+                return false;
+            }
+            if (newLabel !== oldLabel && this.onNodeRename(node, oldLabel, newLabel) !== false) {
+                this._recordCommand({ type: 'rename', label: 'Rename', id: node.id, oldLabel: node.label, newLabel });
+                this._updateModel(() => this.model.setProperty(node.id, 'label', newLabel));
+                renamed = true;
+            }
+        }
+        
+        this._renameState = null;
+        state.element.draggable = this.options.enableDragDrop && this.options.dragMode !== 'pointer';
+        this._refreshNode(state.id);
+        if (renamed) {
+            this._refreshSortOrder('label', [state.id]);
+        }
+        if (state.element.isConnected) {
+            state.element.focus({ preventScroll: true });
+        }
+        return true;
+    }
+
+    /**
+     * Validate a label against the rules of the node type. Node types may set
+     * `uniqueLabels: true` to require unique labels among siblings and
+     * `validateLabel(label, node, siblings)` returning true or an error message.
+     * @private
+     * @returns {string|null} Error message, or null when the label is valid
+     */
+    _validateLabel(node, label) {
+        if (!label) {
+            return 'Label cannot be empty';
+        }
+        
+        const typeDefinition = this.options.nodeTypes[node.type || 'custom'];
+        const siblings = (getSiblingArray(this.options.data, this.nodeIndex, node.id) || []).filter(sibling => sibling !== node);
+        if (typeDefinition?.uniqueLabels && siblings.some(sibling => this._getNodeLabel(sibling) === label)) {
+            return `A sibling named '${label}' already exists`;
+        }
+        if (typeDefinition?.validateLabel) {
+            const result = typeDefinition.validateLabel(label, node, siblings);
+            if (result !== true && result !== undefined) {
+                return typeof result === 'string' ? result : 'Invalid label';
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Show or clear a validation error on the rename input
+     * @private
+     */
+    _showRenameError(error) {
+        const input = this._renameState?.input;
+        if (!input) return;
+        input.style.border = TreeView.CONSTANTS.STYLES.RENAME_INPUT.border;
+        if (error) {
+            Object.assign(input.style, TreeView.CONSTANTS.STYLES.RENAME_INPUT_INVALID);
+        }
+        input.title = error || '';
+        input.setAttribute('aria-invalid', String(!!error));
+    }
+
+    /**
+     * Display label of a node
+     * @private
+     */
+    _getNodeLabel(node) {
+        return String(node.label || node.name || `Node ${node.id}`);
+    }
+
+
+
+    /**
+     * Creates a property toggle element
+     * @private
+     */
+    _createPropertyToggle(node, id, toggleKey, toggleDefinition, onToggleClick) {
+        const isActionToggle = !toggleDefinition?.values || toggleDefinition.values.length === 0;
+        const state = isActionToggle ? null : this._getToggleState(node, toggleKey);
+        const value = state?.value ?? null;
+        let iconData = '?';
+        
+        if (toggleDefinition && toggleDefinition.icons) {
+            if (isActionToggle) {
+                // For action toggles, use the icon directly (not based on value)
+                iconData = typeof toggleDefinition.icons === 'string' 
+                    ? toggleDefinition.icons 
+                    : (toggleDefinition.icons.default || '?');
+            } else if (state.mixed && toggleDefinition.icons.mixed) {
+                iconData = toggleDefinition.icons.mixed;
+            } else {
+                // For regular toggles, use icon based on current value
+                iconData = toggleDefinition.icons[value] || '?';
+            }
+        } else {
+            iconData = isActionToggle ? '⚡' : (value ? '✓' : '✗');
+        }
+        
+        const toggle = document.createElement('span');
+        toggle.className = 'treeview-property-toggle';
+        toggle.dataset.property = toggleKey;
+        toggle.dataset.id = id;
+        toggle.setAttribute('role', 'button');
+        toggle.tabIndex = id === this._getTabStopId() ? 0 : -1;
+        toggle.style.cursor = 'pointer';
+        toggle.style.padding = '2px';
+        toggle.style.borderRadius = '2px';
+        toggle.style.fontSize = '12px';
+        toggle.style.display = 'inline-flex';
+        toggle.style.alignItems = 'center';
+        toggle.style.justifyContent = 'center';
+        toggle.style.width = '16px';
+        toggle.style.height = '16px';
+        
+        // Apply custom styles from toggle definition
+        if (toggleDefinition?.style) {
+            Object.assign(toggle.style, toggleDefinition.style);
+        }
+        
+        // Set the icon content
+        if (typeof iconData === 'string' && iconData.trim().startsWith('<svg')) {
+            toggle.innerHTML = iconData;
+            const svg = toggle.querySelector('svg');
+            if (svg) {
+                svg.style.width = '12px';
+                svg.style.height = '12px';
+                svg.style.display = 'block';
+                
+                // Apply value-specific styles for SVG
+                if (toggleDefinition?.styles && !isActionToggle) {
+                    const valueStyles = toggleDefinition.styles[value];
+                    if (valueStyles) {
+                        Object.assign(svg.style, valueStyles);
+                    }
+                } else if (toggleDefinition?.styles && isActionToggle) {
+                    const actionStyles = toggleDefinition.styles.default || toggleDefinition.styles;
+                    if (actionStyles && typeof actionStyles === 'object') {
+                        Object.assign(svg.style, actionStyles);
+                    }
+                }
+            }
+        } else {
+            toggle.textContent = iconData;
+            // Apply value-specific styles for text icons
+            if (toggleDefinition?.styles && !isActionToggle) {
+                const valueStyles = toggleDefinition.styles[value];
+                if (valueStyles) {
+                    Object.assign(toggle.style, valueStyles);
+                }
+            }
+        }
+        
+        toggle.title = isActionToggle 
+            ? (toggleDefinition?.label || toggleKey)
+            : `${toggleDefinition?.label || toggleKey}: ${value}`;
+        
+        // Hierarchical states: a value inherited from an ancestor, descendants that disagree
+        if (state?.inheritedFrom) {
+            toggle.dataset.state = 'inherited';
+            toggle.dataset.inheritedFrom = state.inheritedFrom.id;
+            Object.assign(toggle.style, TreeView.CONSTANTS.STYLES.TOGGLE_INHERITED);
+            toggle.title += ` (inherited from ${this._getNodeLabel(state.inheritedFrom)})`;
+        } else if (state?.mixed) {
+            toggle.dataset.state = 'mixed';
+            Object.assign(toggle.style, TreeView.CONSTANTS.STYLES.TOGGLE_MIXED);
+            toggle.title += ' (mixed)';
+        }
+        toggle.setAttribute('aria-label', toggle.title);
+        if (toggleDefinition?.hotkey) {
+            toggle.setAttribute('aria-keyshortcuts', toggleDefinition.hotkey.toUpperCase());
+        }
+        
+        toggle.addEventListener('mouseenter', () => {
+            toggle.style.backgroundColor = '#555';
+        });
+        
+        toggle.addEventListener('mouseleave', () => {
+            toggle.style.backgroundColor = '';
+        });
+        
+        // Add click handler
+        toggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this._handleToggleClick(node, id, toggleKey, toggleDefinition, onToggleClick, e);
+        });
+        
+        toggle.addEventListener('keydown', (e) => {
+            this._handleToggleKeyDown(e, toggle, () => {
+                this._handleToggleClick(node, id, toggleKey, toggleDefinition, onToggleClick, e);
+            });
+        });
+        
+        return toggle;
+    }
+
+    /**
+     * Handle toggle click events. A click with a modifier runs the behavior
+     * the toggle definition assigns to it (see _applyToggleBehavior).
+     * @private
+     */
+    _handleToggleClick(node, id, toggleKey, toggleDefinition, onToggleClick, event = null) {
+        // Check if this is an action toggle (no values or empty values array)
+        const isActionToggle = !toggleDefinition?.values || toggleDefinition.values.length === 0;
+        
+        if (isActionToggle) {
+            // Handle built-in actions like 'add'
+            if (toggleKey === 'add') {
+                this._handleAddChildNode(node, id);
+            } else {
+                // Custom action toggle - call the callback
+                if (onToggleClick) {
+                    onToggleClick(id, toggleKey, null, null, node, 'action');
+                }
+            }
+            return;
+        }
+        
+        // Regular toggle handling
+        if (this.model.shouldShowToggle(node, toggleKey) && !isActionToggle) {
+            const oldValue = this.model.getToggleValue(node, toggleKey);
+            
+            const behavior = this._getToggleBehavior(toggleDefinition, event);
+            if (behavior) {
+                const changes = this._applyToggleBehavior(behavior, node, toggleKey);
+                if (changes && onToggleClick) {
+                    onToggleClick(id, toggleKey, this.model.getToggleValue(node, toggleKey), oldValue, node, behavior, changes);
+                }
+                return;
+            }
+            
+            const newValue = this._getNextToggleValue(toggleDefinition, oldValue);
+            
+            // Clicking a selected node applies its new value to the whole selection
+            const others = this.selectedNodes.has(id)
+                ? this.getSelection().filter(otherId => otherId !== id).map(otherId => this.getNodeById(otherId))
+                    .filter(other => other && this.model.shouldShowToggle(other, toggleKey))
+                : [];
+            const changes = this._applyToggle([node, ...others], toggleKey, newValue);
+            
+            // Call the callback for regular toggles, once for all changed nodes
+            if (onToggleClick) {
+                onToggleClick(id, toggleKey, newValue, oldValue, node, 'toggle', changes);
+            }
+        }
+    }
+
+    /**
+     * Set a toggle on several nodes, and on their descendants for cascading
+     * toggles, as one undo step
+     * @returns {Array} The changes, as { id, node, oldValue, newValue }
+     * @private
+     */
+    _applyToggle(nodes, toggleKey, value) {
+        const toggleDefinition = this.options.toggleDefinitions[toggleKey];
+        const targets = new Set();
+        nodes.forEach(node => {
+            targets.add(node);
+            if (toggleDefinition?.cascade) {
+                this.model.getToggleDescendants(node, toggleKey).forEach(descendant => targets.add(descendant));
+            }
+        });
+        return this._setToggleValues(toggleKey, [...targets].map(node => ({ node, value })));
+    }
+
+    /**
+     * Write toggle values ({ node, value } pairs) as one undo step and update the rows
+     * @returns {Array} The changes, as { id, node, oldValue, newValue }
+     * @private
+     */
+    _setToggleValues(toggleKey, assignments) {
+        const changes = assignments
+            .map(({ node, value }) => ({ id: node.id, node, oldValue: this.model.getToggleValue(node, toggleKey), newValue: value }))
+            .filter(change => change.oldValue !== change.newValue);
+        if (changes.length === 0) return changes;
+        
+        const toggleDefinition = this.options.toggleDefinitions[toggleKey];
+        const label = `Toggle ${toggleDefinition?.label || toggleKey}`;
+        this.history.begin(label);
+        changes.forEach(({ id, node, newValue }) => {
+            this._recordCommand({ type: 'toggle', label, id, key: toggleKey, oldValue: node.toggles?.[toggleKey], newValue });
+            this._updateModel(() => this.model.setToggle(id, toggleKey, newValue));
+        });
+        this.history.end();
+        
+        this._refreshToggles(toggleKey, changes.map(change => change.id));
+        return changes;
+    }
+
+    /**
+     * Value that follows the given one when a toggle is clicked
+     * @private
+     */
+    _getNextToggleValue(toggleDefinition, value) {
+        if (toggleDefinition && toggleDefinition.values && toggleDefinition.values.length > 0) {
+            // Cycle through defined values
+            const currentIndex = toggleDefinition.values.indexOf(value);
+            return toggleDefinition.values[(currentIndex + 1) % toggleDefinition.values.length];
+        }
+        // Default boolean toggle
+        return !value;
+    }
+
+    /**
+     * Behavior a toggle definition assigns to the modifier held during a click
+     * or hotkey ({ modifiers: { alt, ctrl, shift } }; ctrl includes cmd)
+     * @returns {string|null}
+     * @private
+     */
+    _getToggleBehavior(toggleDefinition, event) {
+        const modifiers = toggleDefinition?.modifiers;
+        if (!modifiers || !event) return null;
+        const modifier = event.altKey ? 'alt'
+            : (event.ctrlKey || event.metaKey) ? 'ctrl'
+            : event.shiftKey ? 'shift'
+            : null;
+        return (modifier && modifiers[modifier]) || null;
+    }
+
+    /**
+     * Run a modifier behavior on a node:
+     * - 'solo': the node gets the first value and its siblings the second one;
+     *   doing it again on a soloed node gives the siblings the first value back
+     * - 'subtree': the node and all its descendants get the node's next value
+     * - 'invert-siblings': every sibling moves to its next value
+     * @returns {Array|null} The changes, or null for unknown behaviors
+     * @private
+     */
+    _applyToggleBehavior(behavior, node, toggleKey) {
+        const toggleDefinition = this.options.toggleDefinitions[toggleKey];
+        const parent = this.nodeIndex.get(node.id)?.parent;
+        const siblings = (parent ? parent.children || [] : this.options.data)
+            .filter(sibling => sibling !== node && this.model.shouldShowToggle(sibling, toggleKey));
+        
+        switch (behavior) {
+            case 'solo': {
+                const [onValue, offValue = onValue] = toggleDefinition.values;
+                const soloed = this.model.getToggleValue(node, toggleKey) === onValue
+                    && siblings.every(sibling => this.model.getToggleValue(sibling, toggleKey) === offValue);
+                return this._setToggleValues(toggleKey, [
+                    { node, value: onValue },
+                    ...siblings.map(sibling => ({ node: sibling, value: soloed ? onValue : offValue }))
+                ]);
+            }
+            case 'subtree': {
+                const value = this._getNextToggleValue(toggleDefinition, this.model.getToggleValue(node, toggleKey));
+                return this._setToggleValues(toggleKey, [node, ...this.model.getToggleDescendants(node, toggleKey)].map(target => ({ node: target, value })));
+            }
+            case 'invert-siblings':
+                return this._setToggleValues(toggleKey, siblings.map(sibling => ({
+                    node: sibling,
+                    value: this._getNextToggleValue(toggleDefinition, this.model.getToggleValue(sibling, toggleKey))
+                })));
+            default:
+                console.warn(`Unknown toggle behavior '${behavior}' for toggle '${toggleKey}'`);
+                return null;
+        }
+    }
+
+    /**
+     * Whether a key press goes to type-ahead rather than to a toggle hotkey:
+     * characters without a modifier, unless hotkeyPrecedence is 'hotkey'
+     * @private
+     */
+    _isTypeAheadKey(event) {
+        if (this.options.hotkeyPrecedence === 'hotkey') return false;
+        return event.key.length === 1 && !(event.altKey || event.ctrlKey || event.metaKey || event.shiftKey);
+    }
+
+    /**
+     * Toggle whose hotkey matches a key press, e.g. { hotkey: 'h' }. With a
+     * modifier held the toggle must define a behavior for it.
+     * @returns {string|null} The toggle key
+     * @private
+     */
+    _getToggleForHotkey(event) {
+        if (event.key.length !== 1 && !event.code?.startsWith('Key')) return null;
+        const key = event.key.toLowerCase();
+        const hasModifier = event.altKey || event.ctrlKey || event.metaKey || event.shiftKey;
+        return this.options.toggleOrder.find(toggleKey => {
+            const toggleDefinition = this.options.toggleDefinitions[toggleKey];
+            const hotkey = toggleDefinition?.hotkey?.toLowerCase();
+            // The code also matches when a modifier changes the character (alt+H on macOS)
+            return hotkey && (hotkey === key || (hotkey.length === 1 && event.code === `Key${hotkey.toUpperCase()}`))
+                && (!hasModifier || this._getToggleBehavior(toggleDefinition, event) !== null);
+        }) || null;
+    }
+
+    /**
+     * Handle adding child nodes
+     * @private
+     */
+    _handleAddChildNode(node, id) {
+        const allowedChildren = this.model.getAllowedChildren(node);
+        
+        if (allowedChildren.length === 0) {
+            console.warn(`No allowed child types for node '${node.label}' (type: ${node.type || 'custom'})`);
+            return;
+        }
+        
+        if (allowedChildren.length === 1) {
+            this._addChildNode(node, allowedChildren[0]);
+        } else {
+            this._showChildTypeMenu(node, id);
+        }
+    }
+
+    /**
+     * Add a child node of the specified type
+     * @private
+     */
+    _addChildNode(node, childType) {
+        const defaultToggles = this.options.nodeTypes[childType]?.defaultToggles || {};
+        const newChild = {
+            id: generateNodeId(childType),
+            label: `New ${childType} ${(node.children || []).length + 1}`,
+            type: childType,
+            toggles: { ...defaultToggles }
+        };
+        
+        this._updateModel(() => {
+            this.model.addNode(newChild, node.id);
+            this.model.setExpanded(node.id, true); // Expand parent to show new child
+        });
+        this._recordCommand({ type: 'add', label: `Add ${childType}`, node: newChild, ...this._getNodeLocation(newChild.id) });
+        this._refreshChildren(node.id);
+        this.onNodeAdd(node, newChild, 'add_child', childType);
+    }
+
+    /**
+     * Show a menu with the allowed child types below the add toggle
+     * @private
+     */
+    _showChildTypeMenu(node, id) {
+        const addButton = this.nodeElements.get(id)?.querySelector('[data-property="add"]');
+        const rect = addButton?.getBoundingClientRect();
+        this._openMenu(this._getAddChildItems(node), rect ? rect.left : 0, rect ? rect.bottom + 2 : 0, addButton);
+    }
+
+    /**
+     * Menu items that add a child of each allowed type
+     * @private
+     */
+    _getAddChildItems(node) {
+        return this.model.getAllowedChildren(node).map(childType => ({
+            label: `Add ${childType}`,
+            icon: this.options.nodeTypes[childType]?.default,
+            action: () => this._addChildNode(node, childType)
+        }));
+    }
+
+    // Context menu
+
+    /**
+     * Open the context menu of a row on right click. An unselected row is
+     * selected first, so the menu always acts on what is highlighted.
+     * @private
+     */
+    _handleContextMenu(event, id) {
+        if (this._renameState?.id === id) return; // Keep the native menu of the rename input
+        event.preventDefault();
+        if (this._pointerDrag?.pointerType === 'touch') return; // The long press starts a drag instead
+        event.stopPropagation();
+        if (!this.selectedNodes.has(id)) {
+            this._selectNode(id);
+        }
+        this._focusNode(id, { scroll: false });
+        this.openContextMenu(id, { x: event.clientX, y: event.clientY });
+    }
+
+    /**
+     * Open the context menu for a node. The menu acts on the whole selection
+     * when the node is selected, otherwise on the node alone.
+     * @param {string} id - Node id
+     * @param {Object} [position] - Viewport coordinates { x, y }, defaults to below the row
+     * @returns {boolean} True if a menu was opened
+     */
+    openContextMenu(id, position = null) {
+        const node = this.getNodeById(id);
+        if (!node) return false;
+        
+        const ids = this._getContextIds(id);
+        let items = this._buildContextMenuItems(node, ids);
+        const result = this.onContextMenu(node, items, ids);
+        if (result === false) return false;
+        if (Array.isArray(result)) {
+            items = result;
+        }
+        if (items.length === 0) return false;
+        
+        if (!position) {
+            this._scrollToNode(id);
+        }
+        const element = this.nodeElements.get(id);
+        const rect = element?.getBoundingClientRect();
+        const { x, y } = position || { x: rect ? rect.left + TreeView.CONSTANTS.LAYOUT.INDENT : 0, y: rect ? rect.bottom : 0 };
+        this._openMenu(items, x, y, element);
+        return true;
+    }
+
+    /**
+     * Close the context menu if one is open
+     */
+    closeContextMenu() {
+        if (this._contextMenu) {
+            this._contextMenu.close({ restoreFocus: false });
+            this._contextMenu = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _openMenu(items, x, y, returnFocus) {
+        this.closeContextMenu();
+        const menu = new ContextMenu({
+            items,
+            x,
+            y,
+            returnFocus,
+            onClose: () => {
+                if (this._contextMenu === menu) {
+                    this._contextMenu = null;
+                }
+            }
+        });
+        this._contextMenu = menu;
+    }
+
+    /**
+     * Ids a context menu action applies to, in tree order
+     * @private
+     */
+    _getContextIds(id) {
+        return this.selectedNodes.has(id) ? this._getOrderedTopLevelIds(this.getSelection()) : [id];
+    }
+
+    /**
+     * Menu entries of the node type, or the tree wide default
+     * @private
+     */
+    _buildContextMenuItems(node, ids) {
+        const entries = this.options.nodeTypes[node.type || 'custom']?.contextMenu || this.options.contextMenu;
+        return this._resolveMenuEntries(entries, node, ids);
+    }
+
+    /**
+     * Turn menu entries (built-in names, separators and custom items) into
+     * ContextMenu items. Separators left over at the edges or next to each
+     * other because of hidden entries are dropped.
+     * @private
+     */
+    _resolveMenuEntries(entries, node, ids) {
+        const items = [];
+        entries.forEach(entry => {
+            const item = typeof entry === 'string' && !ContextMenu.isSeparator(entry)
+                ? this._getBuiltInMenuItem(entry, node, ids)
+                : this._resolveCustomMenuItem(entry, node, ids);
+            if (!item) return;
+            if (ContextMenu.isSeparator(item) && (items.length === 0 || ContextMenu.isSeparator(items[items.length - 1]))) return;
+            items.push(item);
+        });
+        if (ContextMenu.isSeparator(items[items.length - 1])) {
+            items.pop();
+        }
+        return items;
+    }
+
+    /**
+     * Custom entries may give `label`, `disabled`, `hidden` and `submenu` as
+     * functions of (node, ids, tree); `action` is called with the same arguments
+     * @private
+     */
+    _resolveCustomMenuItem(entry, node, ids) {
+        if (ContextMenu.isSeparator(entry)) return entry;
+        const evaluate = (value) => typeof value === 'function' ? value(node, ids, this) : value;
+        if (evaluate(entry.hidden)) return null;
+        
+        const item = {
+            label: String(evaluate(entry.label) ?? ''),
+            icon: entry.icon,
+            shortcut: entry.shortcut,
+            disabled: !!evaluate(entry.disabled)
+        };
+        if (entry.submenu) {
+            item.submenu = this._resolveMenuEntries(evaluate(entry.submenu) || [], node, ids);
+            item.disabled = item.disabled || item.submenu.length === 0;
+        } else if (entry.action) {
+            item.action = () => entry.action(node, ids, this);
+        }
+        return item;
+    }
+
+    /**
+     * Create one of the built-in menu items
+     * @private
+     */
+    _getBuiltInMenuItem(key, node, ids) {
+        const hasChildren = (node.children || []).length > 0;
+        switch (key) {
+            case 'addChild': {
+                const addItems = this._getAddChildItems(node);
+                return addItems.length === 1 ? addItems[0] : { label: 'Add child', disabled: addItems.length === 0, submenu: addItems };
+            }
+            case 'rename':
+                return { label: 'Rename', shortcut: 'F2', disabled: ids.length > 1 || !this._canRename(node), action: () => this.startRename(node.id) };
+            case 'duplicate':
+                return { label: 'Duplicate', shortcut: 'Ctrl+D', action: () => this.duplicateNodes(ids) };
+            case 'delete':
+                return {
+                    label: ids.length > 1 ? `Delete ${ids.length} items` : 'Delete',
+                    shortcut: 'Del',
+                    disabled: !ids.some(id => this.canRemoveNode(id)),
+                    action: () => this._requestRemove(ids)
+                };
+            case 'cut':
+                return { label: 'Cut', shortcut: 'Ctrl+X', disabled: !ids.some(id => this.canRemoveNode(id)), action: () => this.cutNodes(ids) };
+            case 'copy':
+                return { label: 'Copy', shortcut: 'Ctrl+C', action: () => this.copyNodes(ids) };
+            case 'paste':
+                return { label: 'Paste', shortcut: 'Ctrl+V', disabled: !this.canPaste(node.id), action: () => this.pasteNodes(node.id) };
+            case 'expandAll':
+                return { label: 'Expand all', disabled: !hasChildren, action: () => this.expandAll(node.id) };
+            case 'collapseAll':
+                return { label: 'Collapse all', disabled: !hasChildren, action: () => this.collapseAll(node.id) };
+            default:
+                console.warn(`Unknown context menu entry '${key}'`);
+                return null;
+        }
+    }
+
+    /**
+     * Default node renderer with toggle support
+     * @private
+     */
+    _defaultNodeRenderer(node, id, state) {
+        const container = document.createElement('div');
+        container.style.display = 'flex';
+        container.style.alignItems = 'center';
+        container.style.width = '100%';
+        if (this.columns.length > 0) {
+            container.style.minWidth = '0'; // Lets the label shrink so the cells stay aligned
+        }
+
+        // Expansion icon (always create a placeholder for consistent indentation)
+        if (this.options.showIcons) {
+            const expandIcon = document.createElement('span');
+            expandIcon.className = 'treeview-expand-icon';
+            expandIcon.style.marginRight = '4px';
+            expandIcon.style.minWidth = '12px';
+            expandIcon.style.textAlign = 'center';
+            expandIcon.style.display = 'inline-flex';
+            expandIcon.style.alignItems = 'center';
+            expandIcon.style.justifyContent = 'center';
+            
+            if (state.hasChildren) {
+                // Show actual expand/collapse icon for nodes with children
+                const iconSvg = state.isExpanded ? TreeView.CONSTANTS.ICONS.EXPANDED : TreeView.CONSTANTS.ICONS.COLLAPSED;
+                if (iconSvg.includes('<svg')) {
+                    expandIcon.innerHTML = iconSvg;
+                    const svg = expandIcon.querySelector('svg');
+                    if (svg) {
+                        svg.style.width = '12px';
+                        svg.style.height = '12px';
+                        svg.style.display = 'block';
+                    }
+                } else {
+                    expandIcon.textContent = iconSvg;
+                }
+            } else {
+                // For leaf nodes, add empty space to maintain indentation
+                expandIcon.innerHTML = '&nbsp;'; // Non-breaking space placeholder
+            }
+            container.appendChild(expandIcon);
+        }
+
+        // Type icon (only if showIcons is enabled and we have node types defined)
+        if (this.options.showIcons && this.options.nodeTypes) {
+            const typeIcon = document.createElement('span');
+            typeIcon.className = 'treeview-type-icon';
+            typeIcon.style.marginRight = '4px';
+            typeIcon.style.minWidth = '12px';
+            typeIcon.style.textAlign = 'center';
+            typeIcon.style.display = 'inline-flex';
+            typeIcon.style.alignItems = 'center';
+            typeIcon.style.justifyContent = 'center';
+            
+            const nodeType = node.type || 'custom';
+            const typeIcons = this.options.nodeTypes[nodeType];
+            let icon = node.icon || typeIcons?.default || '•';
+            
+            // Use expanded/collapsed icons for folders
+            if (nodeType === 'folder' && state.hasChildren) {
+                icon = state.isExpanded ? (typeIcons?.expanded || icon) : (typeIcons?.collapsed || icon);
+            }
+            
+            // Apply icon-specific styling from node type definition
+            if (typeIcons?.iconStyle) {
+                Object.assign(typeIcon.style, typeIcons.iconStyle);
+            }
+            
+            if (typeof icon === 'string' && icon.includes('<svg')) {
+                typeIcon.innerHTML = icon;
+                const svg = typeIcon.querySelector('svg');
+                if (svg) {
+                    svg.style.width = '12px';
+                    svg.style.height = '12px';
+                    svg.style.display = 'block';
+                    
+                    // Apply SVG-specific styling from node type definition
+                    if (typeIcons?.svgStyle) {
+                        Object.assign(svg.style, typeIcons.svgStyle);
+                    }
+                }
+            } else {
+                typeIcon.textContent = icon;
+            }
+            container.appendChild(typeIcon);
+        }
+
+        // Label
+        const label = document.createElement('span');
+        label.className = 'treeview-label';
+        this._setLabelContent(label, node);
+        if (this._canRename(node)) {
+            label.addEventListener('dblclick', (e) => {
+                e.stopPropagation();
+                this.startRename(id);
+            });
+        }
+        
+        // Apply label-specific styling from node type definition
+        const nodeType = node.type || 'custom';
+        const typeDefinition = this.options.nodeTypes[nodeType];
+        if (typeDefinition?.labelStyle) {
+            Object.assign(label.style, typeDefinition.labelStyle);
+        }
+        if (this.columns.length > 0) {
+            label.style.overflow = 'hidden';
+            label.style.textOverflow = 'ellipsis';
+        }
+        
+        container.appendChild(label);
+
+        // Property toggles with column alignment (in table mode they are cells)
+        if (this.options.toggleOrder?.length > 0 && this.columns.length === 0) {
+            const togglesContainer = document.createElement('span');
+            togglesContainer.className = 'treeview-toggles';
+            togglesContainer.style.marginLeft = 'auto';
+            togglesContainer.style.display = 'flex';
+            togglesContainer.style.alignItems = 'center';
+            
+            // Create toggles in the specified order for consistent column alignment
+            this.options.toggleOrder.forEach(toggleKey => {
+                const toggleColumn = document.createElement('span');
+                toggleColumn.style.width = '20px';
+                toggleColumn.style.textAlign = 'center';
+                toggleColumn.style.display = 'inline-block';
+                
+                // Check if this toggle should be visible for this node
+                if (this.model.shouldShowToggle(node, toggleKey)) {
+                    const toggleDef = this.options.toggleDefinitions[toggleKey];
+                    const toggle = this._createPropertyToggle(node, id, toggleKey, toggleDef, this.onToggleClick);
+                    toggleColumn.appendChild(toggle);
+                }
+                // If toggle shouldn't be shown, leave the column empty for alignment
+                togglesContainer.appendChild(toggleColumn);
+            });
+            
+            container.appendChild(togglesContainer);
+        }
+
+        return container;
+    }
+
+    /**
+     * Fill the label, highlighting the text that matches the filter
+     * @private
+     */
+    _setLabelContent(label, node) {
+        const text = this._getNodeLabel(node);
+        const query = this._filterText;
+        const start = query && this._filterMatches?.has(node.id) ? text.toLowerCase().indexOf(query) : -1;
+        if (start < 0) {
+            label.textContent = text;
+            return;
+        }
+        const mark = document.createElement('mark');
+        mark.className = 'treeview-filter-match';
+        Object.assign(mark.style, TreeView.CONSTANTS.STYLES.FILTER_MATCH);
+        mark.textContent = text.slice(start, start + query.length);
+        label.append(text.slice(0, start), mark, text.slice(start + query.length));
+    }
+
+    /**
+     * Whether a toggle's display depends on other nodes (inherit or cascade)
+     * @private
+     */
+    _isHierarchicalToggle(toggleKey) {
+        const toggleDef = this.options.toggleDefinitions[toggleKey];
+        return !!(toggleDef?.inherit || toggleDef?.cascade);
+    }
+
+    /**
+     * Displayed state of a toggle: its effective value, the ancestor it is
+     * inherited from and whether the descendants disagree
+     * @returns {{value: *, inheritedFrom: Object|null, mixed: boolean}}
+     * @private
+     */
+    _getToggleState(node, toggleKey) {
+        const inheritedFrom = this.model.getToggleSource(node, toggleKey);
+        const mixed = this._isHierarchicalToggle(toggleKey) && this._getDescendantToggleValues(node, toggleKey).size > 1;
+        return { value: this.model.getToggleValue(inheritedFrom || node, toggleKey), inheritedFrom, mixed };
+    }
+
+    /**
+     * Own values of a toggle on the loaded descendants of a node that show it.
+     * Inside _withToggleValueCache every subtree is only visited once, so the
+     * rows of a refresh share the work instead of each walking its subtree.
+     * @returns {Set}
+     * @private
+     */
+    _getDescendantToggleValues(node, toggleKey) {
+        const cache = this._toggleValueCache?.get(toggleKey);
+        if (cache?.has(node)) return cache.get(node);
+        const values = new Set();
+        (node.children || []).forEach(child => {
+            if (this.model.shouldShowToggle(child, toggleKey)) {
+                values.add(this.model.getToggleValue(child, toggleKey));
+            }
+            this._getDescendantToggleValues(child, toggleKey).forEach(value => values.add(value));
+        });
+        cache?.set(node, values);
+        return values;
+    }
+
+    /**
+     * Run a refresh with descendant toggle values cached; the values are
+     * computed bottom-up once and dropped when the refresh is done
+     * @private
+     */
+    _withToggleValueCache(refresh) {
+        if (this._toggleValueCache) return refresh(); // Nested refresh
+        this._toggleValueCache = new Map(this.options.toggleOrder.map(key => [key, new Map()]));
+        try {
+            return refresh();
+        } finally {
+            this._toggleValueCache = null;
+        }
+    }
+
+    /**
+     * Re-render toggle buttons after values changed. Hierarchical toggles also
+     * re-render on the ancestors (mixed state) and the rendered descendants
+     * (inherited values) of the changed rows.
+     * @param {string|null} toggleKey - Toggle to update; null updates all hierarchical toggles
+     * @param {Array} [ids] - Rows whose own value changed
+     * @private
+     */
+    _refreshToggles(toggleKey, ids = []) {
+        const keys = toggleKey ? [toggleKey] : this.options.toggleOrder.filter(key => this._isHierarchicalToggle(key));
+        const hierarchyIds = keys.some(key => this._isHierarchicalToggle(key)) ? this._getToggleHierarchyIds(ids) : null;
+        this._withToggleValueCache(() => keys.forEach(key => {
+            const rowIds = this._isHierarchicalToggle(key) ? hierarchyIds : ids;
+            rowIds.forEach(id => {
+                const node = this.getNodeById(id);
+                const oldToggle = this.nodeElements.get(id)?.querySelector(`.treeview-property-toggle[data-property="${key}"]`);
+                if (node && oldToggle) {
+                    this._replaceToggle(node, id, key, oldToggle);
+                }
+            });
+        }));
+        if (toggleKey) {
+            this._refreshSortOrder(toggleKey, ids);
+        }
+    }
+
+    /**
+     * Rendered rows whose hierarchical toggles can change when the given rows
+     * change value: the rows themselves, their ancestors and their descendants
+     * inside expanded nodes
+     * @returns {Set}
+     * @private
+     */
+    _getToggleHierarchyIds(ids) {
+        const rowIds = new Set();
+        const visit = (node) => {
+            if (rowIds.has(node.id)) return; // Already visited with a changed ancestor
+            rowIds.add(node.id);
+            if (this._isExpanded(node)) {
+                (node.children || []).forEach(visit);
+            }
+        };
+        ids.forEach(id => {
+            const node = this.getNodeById(id);
+            if (!node) return;
+            visit(node);
+            for (let parent = this.getParentNode(id); parent; parent = this.getParentNode(parent.id)) {
+                rowIds.add(parent.id);
+            }
+        });
+        return [...rowIds].filter(id => this.nodeElements.has(id));
+    }
+
+    /**
+     * Replace a rendered toggle button, keeping its focus
+     * @private
+     */
+    _replaceToggle(node, id, toggleKey, oldToggle) {
+        const toggle = this._createPropertyToggle(node, id, toggleKey, this.options.toggleDefinitions[toggleKey], this.onToggleClick);
+        const hadFocus = document.activeElement === oldToggle;
+        oldToggle.replaceWith(toggle);
+        if (hadFocus) {
+            toggle.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Re-render hierarchical toggles after nodes were added, removed or moved
+     * below the given parents. Only the ancestors of those parents can change
+     * their mixed state (the parents themselves were just re-rendered); other
+     * rows are only re-rendered when the ancestor they inherit from changed.
+     * @param {Set} parentIds - Parents that gained or lost children (null for the root)
+     * @private
+     */
+    _refreshStructureToggles(parentIds) {
+        const keys = this.options.toggleOrder.filter(key => this._isHierarchicalToggle(key));
+        if (keys.length === 0) return;
+        const ancestorIds = new Set();
+        parentIds.forEach(id => {
+            for (let node = id ? this.getParentNode(id) : null; node && !ancestorIds.has(node.id); node = this.getParentNode(node.id)) {
+                ancestorIds.add(node.id);
+            }
+        });
+        this._withToggleValueCache(() => keys.forEach(key => {
+            this.nodeElements.forEach((element, id) => {
+                const node = this.getNodeById(id);
+                const oldToggle = element.querySelector(`.treeview-property-toggle[data-property="${key}"]`);
+                if (!node || !oldToggle) return;
+                const source = this.model.getToggleSource(node, key);
+                if (!ancestorIds.has(id) && (oldToggle.dataset.inheritedFrom ?? '') === (source ? String(source.id) : '')) return;
+                this._replaceToggle(node, id, key, oldToggle);
+            });
+        }));
+    }
+
+    // Public API methods
+    
+    /**
+     * Update the tree data and re-render
+     * @param {Array} data - New tree data
+     */
+    setData(data) {
+        this.model.setData(data); // Every view of the model resets in _handleDataChanged
+    }
+
+    /**
+     * Reset the view after the model data was replaced. With persistViewState
+     * the expansion of the previous data carries over to the new data.
+     * @private
+     */
+    _handleDataChanged({ previousData = [] } = {}) {
+        this.options.data = this.model.data;
+        this.history.clear(); // Recorded commands refer to the old nodes
+        this._lazyState.clear(); // Pending loads for the old nodes are ignored
+        if (this.options.persistViewState) {
+            this._applyExpandedIds(new Set([...this._collectExpandedIds(previousData), ...this._pendingExpanded]));
+        } else {
+            this._expandPendingNodes(this.options.data);
+        }
+        this._applyFilter();
+        // Ids are stable, so the selection survives as long as the nodes still exist
+        this.selectedNodes.forEach(id => {
+            if (!this.nodeIndex.has(id)) this.selectedNodes.delete(id);
+        });
+        this._render();
+        this._loadExpandedLazyNodes(this.options.data);
+    }
+
+    /**
+     * Get currently selected node ids
+     * @returns {Array} Array of selected ids
+     */
+    getSelection() {
+        return Array.from(this.selectedNodes);
+    }
+
+    /**
+     * Programmatically select nodes
+     * @param {Array} ids - Array of node ids to select
+     */
+    setSelection(ids) {
+        const anchorId = ids.includes(this.anchorId) ? this.anchorId : (ids[ids.length - 1] ?? null);
+        this._updateSelection(ids, { anchorId, silent: true });
+    }
+
+    /**
+     * Get the selected node objects
+     * @returns {Array} Array of selected nodes
+     */
+    getSelectedNodes() {
+        return Array.from(this.selectedNodes).map(id => this.getNodeById(id)).filter(Boolean);
+    }
+
+    /**
+     * Select all visible rows (requires multiSelect)
+     */
+    selectAll() {
+        if (!this.options.multiSelect) return;
+        this._updateSelection(this._getVisibleRows().map(row => row.node.id));
+    }
+
+    /**
+     * Clear the selection
+     */
+    clearSelection() {
+        this._updateSelection([], { anchorId: null });
+    }
+
+    /**
+     * Expand or collapse a node
+     * @param {string} id - Node id
+     * @param {boolean} expanded - Whether to expand or collapse
+     */
+    setNodeExpanded(id, expanded) {
+        const node = this.getNodeById(id);
+        if (!node) return;
+        // While filtering the filter view follows as well, so the change is visible
+        const filterChanged = this._filterExpanded && this._filterExpanded.has(id) !== expanded;
+        if (filterChanged) {
+            if (expanded) {
+                this._filterExpanded.add(id);
+            } else {
+                this._filterExpanded.delete(id);
+            }
+        }
+        if (node.expanded !== expanded || filterChanged) {
+            this._updateModel(() => this.model.setExpanded(id, expanded));
+            this._refreshExpanded(id);
+            if (expanded) {
+                this._ensureChildrenLoaded(node);
+            }
+            this.onNodeExpand(id, expanded);
+        }
+    }
+
+    /**
+     * Make a node visible: expand its collapsed ancestors and scroll its row
+     * into view inside the container
+     * @param {string} id - Node id
+     * @param {Object} [options]
+     * @param {boolean} [options.select=false] - Select only this node (without firing onSelectionChange, like setSelection)
+     * @param {boolean} [options.focus=false] - Move keyboard focus to the row
+     * @param {string|false} [options.scroll='nearest'] - 'nearest', 'center', or false to leave the scroll position
+     * @param {boolean} [options.flash=false] - Highlight the row briefly
+     * @returns {boolean} False if the node does not exist or the filter hides it
+     */
+    revealNode(id, { select = false, focus = false, scroll = 'nearest', flash = false } = {}) {
+        if (!this.nodeIndex.has(id)) {
+            console.warn(`Cannot reveal unknown node '${id}'`);
+            return false;
+        }
+        if (this._filterVisible && !this._filterVisible.has(id)) return false;
+        
+        // Outermost first, so each expansion renders the next level
+        getAncestorIds(this.nodeIndex, id).reverse().forEach(ancestorId => this.setNodeExpanded(ancestorId, true));
+        if (select) {
+            this._updateSelection([id], { anchorId: id, silent: true });
+        }
+        if (select || focus) {
+            this._setFocusedId(id);
+        }
+        if (scroll) {
+            this._scrollToNode(id, { block: scroll });
+        }
+        if (focus) {
+            this.nodeElements.get(id)?.focus({ preventScroll: true });
+        }
+        if (flash) {
+            this._flashNode(id);
+        }
+        return true;
+    }
+
+    /**
+     * Highlight a row for DELAYS.FLASH. The highlight survives re-rendering
+     * the row, e.g. when a virtualized row scrolls out and back in.
+     * @private
+     */
+    _flashNode(id) {
+        this._clearFlash();
+        const timer = setTimeout(() => this._clearFlash(), TreeView.CONSTANTS.DELAYS.FLASH);
+        this._flash = { id, timer };
+        const element = this.nodeElements.get(id);
+        if (element) {
+            Object.assign(element.style, TreeView.CONSTANTS.STYLES.NODE_FLASH);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _clearFlash() {
+        if (!this._flash) return;
+        clearTimeout(this._flash.timer);
+        const element = this.nodeElements.get(this._flash.id);
+        if (element) {
+            element.style.boxShadow = '';
+        }
+        this._flash = null;
+    }
+
+    /**
+     * Get the expansion state of a node
+     * @param {string} id - The id of the node
+     * @returns {boolean} True if the node is expanded, false otherwise
+     */
+    isNodeExpanded(id) {
+        const node = this.getNodeById(id);
+        return node ? (node.expanded || false) : false;
+    }
+
+    /**
+     * Look up a node by id
+     * @param {string} id - Node id
+     * @returns {Object|null} The node, or null if no node has this id
+     */
+    getNodeById(id) {
+        return this.nodeIndex.get(id)?.node || null;
+    }
+
+    /**
+     * Get the parent of a node
+     * @param {string} id - Node id
+     * @returns {Object|null} The parent node, or null for root nodes and unknown ids
+     */
+    getParentNode(id) {
+        return this.nodeIndex.get(id)?.parent || null;
+    }
+
+    /**
+     * Read the effective value of a toggle, including node type defaults and
+     * inherited values
+     * @param {string} id - Node id
+     * @param {string} key - Toggle key from toggleDefinitions
+     * @returns {*} The value, or null for unknown nodes and nodes that do not show the toggle
+     */
+    getToggle(id, key) {
+        const node = this.getNodeById(id);
+        if (!node || !this.model.shouldShowToggle(node, key)) return null;
+        return this.model.getEffectiveToggleValue(node, key);
+    }
+
+    /**
+     * Set a toggle on one or more nodes as one undo step. Nodes that do not
+     * show the toggle are skipped; cascading toggles also set the descendants.
+     * Fires onToggleClick once, with type 'set', when something changed.
+     * @param {string|Array<string>} ids - Node ids
+     * @param {string} key - Toggle key from toggleDefinitions
+     * @param {*} value - One of the toggle's values
+     * @returns {Array} The changes, as { id, node, oldValue, newValue }
+     */
+    setToggle(ids, key, value) {
+        const toggleDefinition = this.options.toggleDefinitions[key];
+        if (!toggleDefinition?.values?.length) {
+            console.warn(`Toggle '${key}' is not defined or is an action toggle`);
+            return [];
+        }
+        if (!toggleDefinition.values.includes(value)) {
+            console.warn(`Invalid value for toggle '${key}': ${value}. Allowed: [${toggleDefinition.values.join(', ')}]`);
+            return [];
+        }
+        const nodes = [].concat(ids).map(id => this.getNodeById(id))
+            .filter(node => node && this.model.shouldShowToggle(node, key));
+        const changes = this._applyToggle(nodes, key, value);
+        if (changes.length > 0) {
+            const [first] = changes;
+            this.onToggleClick(first.id, key, value, first.oldValue, first.node, 'set', changes);
+        }
+        return changes;
+    }
+
+    /**
+     * Resolve a dotted index path ("0.1.2") to a node id (compatibility helper)
+     * @param {string} path - Dotted index path
+     * @returns {string|null} Node id
+     */
+    getIdByPath(path) {
+        return this.model.getIdByPath(path);
+    }
+
+    /**
+     * Compute the current dotted index path of a node (compatibility helper)
+     * @param {string} id - Node id
+     * @returns {string|null} Dotted index path
+     */
+    getPathById(id) {
+        return this.model.getPath(id);
+    }
+
+    /**
+     * Change the label of a node, subject to the same validation and
+     * onNodeRename veto as inline editing
+     * @param {string} id - Node id
+     * @param {string} label - New label
+     * @returns {boolean} True if the label was changed
+     */
+    renameNode(id, label) {
+        const node = this.getNodeById(id);
+        const newLabel = String(label ?? '').trim();
+        if (!node || this._validateLabel(node, newLabel)) return false;
+        const oldLabel = this._getNodeLabel(node);
+        if (newLabel === oldLabel || this.onNodeRename(node, oldLabel, newLabel) === false) return false;
+        this._recordCommand({ type: 'rename', label: 'Rename', id, oldLabel: node.label, newLabel });
+        this._updateModel(() => this.model.setProperty(id, 'label', newLabel));
+        this._refreshNode(id);
+        this._refreshSortOrder('label', [id]);
+        return true;
+    }
+
+    /**
+     * Check whether a node may be deleted: neither its type nor any node in
+     * its subtree sets `deletable: false`
+     * @param {string} id - Node id
+     * @returns {boolean}
+     */
+    canRemoveNode(id) {
+        const node = this.getNodeById(id);
+        if (!node) return false;
+        const isDeletable = (n) => this.options.nodeTypes[n.type || 'custom']?.deletable !== false && n.deletable !== false;
+        const check = (n) => isDeletable(n) && (n.children || []).every(check);
+        return check(node);
+    }
+
+    /**
+     * Remove nodes and their descendants. When both a node and one of its
+     * descendants are given, the subtree is removed once. Nodes that cannot be
+     * deleted (see canRemoveNode) are skipped. When the whole selection is
+     * removed, the next remaining sibling (else the previous sibling, else
+     * the parent) is selected.
+     * @param {Array} ids - Node ids
+     * @returns {Array} The removed nodes
+     */
+    removeNodes(ids) {
+        return this._removeNodes(ids, 'delete');
+    }
+
+    /**
+     * @private
+     */
+    _removeNodes(ids, action) {
+        const topIds = this._getOrderedTopLevelIds(ids).filter(id => {
+            if (this.canRemoveNode(id)) return true;
+            console.warn(`Node '${id}' cannot be deleted`);
+            return false;
+        });
+        if (topIds.length === 0) return [];
+        
+        const hadFocus = this.container.contains(document.activeElement);
+        const { focusId, selectionId } = this._getRemovalReplacements(topIds);
+        if (this._renameState && topIds.some(id => isSameOrDescendant(this.nodeIndex, this._renameState.id, id))) {
+            this._finishRename(false);
+        }
+        
+        const parentIds = new Set();
+        this.history.begin('Delete');
+        const removed = topIds.map(id => {
+            const parent = this.getParentNode(id);
+            const { node, location } = this._detachNode(id);
+            this._recordCommand({ type: 'remove', label: 'Delete', node, ...location });
+            parentIds.add(location.parentId);
+            return { node, parent };
+        });
+        this.history.end();
+        
+        this._refreshParents(parentIds);
+        if (!this.nodeIndex.has(this.anchorId)) {
+            this.anchorId = null;
+        }
+        const selection = this.getSelection().filter(id => this.nodeIndex.has(id));
+        if (selection.length === 0 && selectionId) {
+            this._updateSelection([selectionId], { anchorId: selectionId });
+        } else {
+            this._updateSelection(selection);
+        }
+        if (focusId !== this.focusedId) {
+            if (focusId && hadFocus) {
+                this._focusNode(focusId);
+            } else {
+                this._setFocusedId(focusId);
+            }
+        }
+        removed.forEach(({ node, parent }) => this.onNodeRemove(parent, node, action, node.type || 'custom'));
+        return removed.map(({ node }) => node);
+    }
+
+    /**
+     * Delete nodes from the keyboard or context menu, asking confirmRemove
+     * first when one of them has children
+     * @private
+     */
+    _requestRemove(ids) {
+        const topIds = this._getOrderedTopLevelIds(ids).filter(id => this.canRemoveNode(id));
+        if (topIds.length === 0) return;
+        const nodes = topIds.map(id => this.getNodeById(id));
+        if (!this.options.confirmRemove || !nodes.some(node => (node.children || []).length > 0)) {
+            this.removeNodes(topIds);
+            return;
+        }
+        Promise.resolve().then(() => this.options.confirmRemove(nodes, topIds)).then(confirmed => {
+            if (confirmed) {
+                this.removeNodes(topIds); // Ids removed in the meantime are ignored
+            }
+        }).catch(error => {
+            console.error('confirmRemove failed:', error);
+        });
+    }
+
+    /**
+     * Copy nodes to the clipboard. The copy is a snapshot, later changes to
+     * the nodes do not affect what is pasted.
+     * @param {Array} ids - Node ids
+     * @returns {boolean} True if anything was copied
+     */
+    copyNodes(ids) {
+        return this._copyToClipboard('copy', ids);
+    }
+
+    /**
+     * Put nodes on the clipboard to be moved by the next paste. Cut rows are
+     * dimmed until then.
+     * @param {Array} ids - Node ids
+     * @returns {boolean} True if anything was cut
+     */
+    cutNodes(ids) {
+        return this._copyToClipboard('cut', ids);
+    }
+
+    /**
+     * Check whether the clipboard can be pasted at a node
+     * @param {string} targetId - Node id
+     * @returns {boolean}
+     */
+    canPaste(targetId) {
+        return this._getPastePosition(targetId) !== null;
+    }
+
+    /**
+     * Paste the clipboard into a node, or after it when the node does not
+     * accept the clipboard types as children. Copies get fresh ids. Nodes cut
+     * in this tree are moved and keep their ids; nodes cut in another tree
+     * are pasted as copies and removed from that tree. A cut is pasted once.
+     * @param {string} targetId - Node id
+     * @returns {Array} The pasted nodes
+     */
+    pasteNodes(targetId) {
+        const position = this._getPastePosition(targetId);
+        if (!position) {
+            console.warn(`Cannot paste at node '${targetId}'`);
+            return [];
+        }
+        
+        const target = this.nodeIndex.get(targetId);
+        const parent = position === 'inside' ? target.node : target.parent;
+        const parentIds = new Set([parent ? parent.id : null]);
+        const clipboard = TreeView.clipboard;
+        const isMove = clipboard.mode === 'cut' && this._sharesModel(clipboard.source);
+        let pasted;
+        this.history.begin('Paste');
+        if (isMove) {
+            pasted = this._getClipboardNodes();
+            this._moveNodes(pasted.map(node => node.id), targetId, position, parentIds);
+        } else {
+            pasted = this._getClipboardNodes().map(node => cloneSubtree(node));
+            const siblings = [...(parent ? parent.children || [] : this.options.data)];
+            pasted.forEach(node => {
+                node.label = this._getUniqueLabel(this._getNodeLabel(node), siblings);
+                siblings.push(node);
+            });
+            this._insertNodes(pasted, targetId, position);
+        }
+        this.history.end();
+        
+        if (clipboard.mode === 'cut') {
+            this._replaceClipboard(null);
+            if (!isMove && clipboard.source) {
+                clipboard.source._removeNodes(clipboard.ids, 'cut');
+            }
+        }
+        this._refreshParents(parentIds);
+        this._updateSelection(pasted.map(node => node.id), { anchorId: pasted[0].id });
+        pasted.forEach(node => this.onNodeAdd(parent, node, 'paste', node.type || 'custom'));
+        this.onNodePaste(targetId, pasted, clipboard.mode);
+        return pasted;
+    }
+
+    /**
+     * Insert a copy of each node (with fresh ids) directly after it
+     * @param {Array} ids - Node ids
+     * @returns {Array} The copies
+     */
+    duplicateNodes(ids) {
+        const topIds = this._getOrderedTopLevelIds(ids);
+        if (topIds.length === 0) return [];
+        
+        const parentIds = new Set();
+        this.history.begin('Duplicate');
+        const copies = topIds.map(id => {
+            const { node, parent } = this.nodeIndex.get(id);
+            const copy = cloneSubtree(node);
+            copy.label = this._getUniqueLabel(this._getNodeLabel(node), getSiblingArray(this.options.data, this.nodeIndex, id));
+            this._insertNodes([copy], id, 'after');
+            parentIds.add(parent ? parent.id : null);
+            return { copy, parent };
+        });
+        this.history.end();
+        
+        this._refreshParents(parentIds);
+        this._updateSelection(copies.map(({ copy }) => copy.id), { anchorId: copies[0].copy.id });
+        copies.forEach(({ copy, parent }) => this.onNodeAdd(parent, copy, 'duplicate', copy.type || 'custom'));
+        this.onNodeDuplicate(topIds, copies.map(({ copy }) => copy));
+        return copies.map(({ copy }) => copy);
+    }
+
+    /**
+     * Expand a node and all its descendants
+     * @param {string|null} [id] - Node id, or null for the whole tree
+     */
+    expandAll(id = null) {
+        this._setSubtreeExpanded(id, true);
+    }
+
+    /**
+     * Collapse a node and all its descendants
+     * @param {string|null} [id] - Node id, or null for the whole tree
+     */
+    collapseAll(id = null) {
+        this._setSubtreeExpanded(id, false);
+    }
+
+    /**
+     * @private
+     */
+    _setSubtreeExpanded(id, expanded) {
+        const root = id ? this.getNodeById(id) : null;
+        if (id && !root) return;
+        
+        const changed = []; // Parents before their children
+        const visit = (node) => {
+            if (!node.children || node.children.length === 0) return;
+            if (this._isExpanded(node) !== expanded || node.expanded !== expanded) {
+                this._updateModel(() => this.model.setExpanded(node.id, expanded));
+                if (this._filterExpanded) {
+                    if (expanded) {
+                        this._filterExpanded.add(node.id);
+                    } else {
+                        this._filterExpanded.delete(node.id);
+                    }
+                }
+                changed.push(node.id);
+            }
+            node.children.forEach(visit);
+        };
+        (root ? [root] : this.options.data).forEach(visit);
+        if (changed.length === 0) return;
+        
+        if (!expanded && this.focusedId) {
+            // Focus moves to the outermost collapsed ancestor of the focused row
+            const hiddenBy = changed.find(changedId => changedId !== this.focusedId && isSameOrDescendant(this.nodeIndex, this.focusedId, changedId));
+            if (hiddenBy) {
+                const hadFocus = this.container.contains(document.activeElement);
+                this._setFocusedId(hiddenBy);
+                if (hadFocus) {
+                    this.nodeElements.get(hiddenBy)?.focus({ preventScroll: true });
+                }
+            }
+        }
+        
+        if (this.options.virtualize) {
+            changed.forEach(changedId => this._refreshNode(changedId));
+            this._updateVirtualRows();
+        } else {
+            changed.forEach(changedId => this._refreshExpanded(changedId));
+        }
+        changed.forEach(changedId => this.onNodeExpand(changedId, expanded));
+    }
+
+    /**
+     * Top level ids of a list, in tree order, skipping unknown ids
+     * @private
+     */
+    _getOrderedTopLevelIds(ids) {
+        return getTopLevelIds(this.nodeIndex, sortIdsByTreeOrder(this.options.data, this.nodeIndex, ids.filter(id => this.nodeIndex.has(id))));
+    }
+
+    /**
+     * Nodes currently on the clipboard. Cut nodes are taken from their tree as
+     * they are now (removed ones are skipped); copies and cuts from other tabs
+     * are snapshots.
+     * @private
+     */
+    _getClipboardNodes() {
+        const clipboard = TreeView.clipboard;
+        if (!clipboard) return [];
+        if (clipboard.mode === 'cut' && clipboard.source) {
+            return clipboard.ids.map(id => clipboard.source.getNodeById(id)).filter(Boolean);
+        }
+        return clipboard.nodes;
+    }
+
+    /**
+     * Put nodes on the shared clipboard and, as JSON, on the system clipboard
+     * (through the clipboard event when there is one)
+     * @private
+     */
+    _copyToClipboard(mode, ids, clipboardData = null) {
+        // Cut nodes leave their place, so the nodes must be deletable
+        const topIds = this._getOrderedTopLevelIds(ids).filter(id => mode !== 'cut' || this.canRemoveNode(id));
+        if (topIds.length === 0) return false;
+        
+        const nodes = topIds.map(id => this.getNodeById(id));
+        this._replaceClipboard({
+            id: generateNodeId('clipboard'),
+            mode,
+            ids: topIds,
+            source: this,
+            nodes: nodes.map(node => JSON.parse(JSON.stringify(node)))
+        });
+        
+        const text = TreeView._createPayload({ clipboardId: TreeView.clipboard.id, mode, nodes: TreeView.clipboard.nodes });
+        if (clipboardData) {
+            clipboardData.setData('text/plain', text);
+        } else {
+            // Fails silently outside secure contexts or without focus; the shared clipboard still works
+            navigator.clipboard?.writeText(text).catch(() => {});
+        }
+        
+        if (mode === 'cut') {
+            this.onNodeCut(topIds, nodes);
+        } else {
+            this.onNodeCopy(topIds, nodes);
+        }
+        return true;
+    }
+
+    /**
+     * Read nodes copied by a TreeView (in this or another tab) from a clipboard
+     * event. Returns null for anything else.
+     * @private
+     */
+    _readClipboardData(clipboardData) {
+        const payload = TreeView._parsePayload(clipboardData?.getData('text/plain'));
+        if (!payload) return null;
+        if (payload.clipboardId && payload.clipboardId === TreeView.clipboard?.id) {
+            return TreeView.clipboard; // Copied on this page, keep the link to the source tree
+        }
+        return { id: payload.clipboardId || generateNodeId('clipboard'), mode: payload.mode === 'cut' ? 'cut' : 'copy', ids: [], source: null, nodes: payload.nodes };
+    }
+
+    /**
+     * JSON written to the clipboard and drag data
+     * @private
+     */
+    static _createPayload(fields) {
+        return JSON.stringify({
+            format: TreeView.CONSTANTS.CLIPBOARD.FORMAT,
+            version: TreeView.CONSTANTS.CLIPBOARD.VERSION,
+            ...fields
+        });
+    }
+
+    /**
+     * Parse text written by _createPayload, null for anything else
+     * @private
+     */
+    static _parsePayload(text) {
+        let payload;
+        try {
+            payload = JSON.parse(text || '');
+        } catch (error) {
+            return null;
+        }
+        if (payload?.format !== TreeView.CONSTANTS.CLIPBOARD.FORMAT || !Array.isArray(payload.nodes)) {
+            return null;
+        }
+        return payload;
+    }
+
+    /**
+     * Replace the shared clipboard and update the dimmed rows of cut nodes
+     * @private
+     */
+    _replaceClipboard(clipboard) {
+        const previous = TreeView.clipboard;
+        TreeView.clipboard = clipboard;
+        if (previous?.mode === 'cut' && previous.source) {
+            previous.source._updateCutStyles(previous.ids);
+        }
+        if (clipboard?.mode === 'cut' && clipboard.source) {
+            clipboard.source._updateCutStyles(clipboard.ids);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _isCut(id) {
+        const clipboard = TreeView.clipboard;
+        return !!clipboard && clipboard.mode === 'cut' && clipboard.source === this && clipboard.ids.includes(id);
+    }
+
+    /**
+     * @private
+     */
+    _updateCutStyles(ids) {
+        ids.forEach(id => {
+            const element = this.nodeElements.get(id);
+            if (element) {
+                element.style.opacity = this._isCut(id) ? TreeView.CONSTANTS.STYLES.NODE_CUT.opacity : '';
+            }
+        });
+    }
+
+    /**
+     * Ctrl/Cmd+C, X and V. The browser fires these as clipboard events on the
+     * focused row, which gives synchronous access to the system clipboard.
+     * @private
+     */
+    _handleClipboardEvent(event) {
+        if (event.target.closest?.('input, textarea, [contenteditable="true"]')) return; // Text editing, e.g. renaming
+        const id = this.nodeIndex.has(this.focusedId) ? this.focusedId : null;
+        if (!id) return;
+        
+        if (event.type === 'paste') {
+            // Prefer what the system clipboard holds; it may come from another tab
+            const clipboard = this._readClipboardData(event.clipboardData) || TreeView.clipboard;
+            if (!clipboard) return; // Nothing to paste, leave the event to the application
+            if (clipboard !== TreeView.clipboard) {
+                this._replaceClipboard(clipboard);
+            }
+            this.pasteNodes(id);
+        } else {
+            this._copyToClipboard(event.type, this._getContextIds(id), event.clipboardData);
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * Where the clipboard goes when pasted at a node: 'inside' when the node
+     * accepts all clipboard types, 'after' when its parent does, otherwise null
+     * @private
+     */
+    _getPastePosition(targetId) {
+        const nodes = this._getClipboardNodes();
+        if (nodes.length === 0 || !this.nodeIndex.has(targetId)) return null;
+        const clipboard = TreeView.clipboard;
+        if (clipboard.mode === 'cut' && this._sharesModel(clipboard.source) && nodes.some(node => isSameOrDescendant(this.nodeIndex, targetId, node.id))) {
+            return null; // Cannot move nodes into or next to themselves
+        }
+        return ['inside', 'after'].find(position => {
+            const parent = this.model.getDropParent(targetId, position);
+            return nodes.every(node => this.model.canAcceptChild(parent, node));
+        }) || null;
+    }
+
+    /**
+     * Move nodes relative to a target node, keeping their order. The old
+     * parents are added to parentIds.
+     * @private
+     */
+    _moveNodes(ids, targetId, position, parentIds) {
+        let anchorId = targetId;
+        ids.forEach(id => {
+            const from = this._getNodeLocation(id);
+            const to = this.model.getInsertLocation(anchorId, position, id);
+            parentIds.add(from.parentId);
+            this._updateModel(() => this.model.moveNode(id, to.parentId, to.index));
+            this._recordMove(id, from);
+            if (position === 'after') {
+                anchorId = id; // The next node goes after this one
+            }
+        });
+        if (position === 'inside') {
+            this._updateModel(() => this.model.setExpanded(targetId, true)); // Expand to show the moved nodes
+        }
+    }
+
+    /**
+     * Insert nodes that are not in the tree yet relative to a target node
+     * @private
+     */
+    _insertNodes(nodes, targetId, position) {
+        // No target: append to the root nodes
+        const { parentId, index } = this.model.getInsertLocation(this.nodeIndex.has(targetId) ? targetId : null, position);
+        this._updateModel(() => {
+            nodes.forEach((node, i) => this.model.addNode(node, parentId, index + i));
+            if (parentId && position === 'inside') {
+                this.model.setExpanded(parentId, true); // Expand to show the new children
+            }
+        });
+        nodes.forEach(node => this._recordCommand({ type: 'add', label: 'Add', node, ...this._getNodeLocation(node.id) }));
+    }
+
+    /**
+     * Label that does not collide with a sibling: "Name", "Name copy", "Name copy 2", ...
+     * @private
+     */
+    _getUniqueLabel(label, siblings) {
+        const taken = new Set(siblings.map(sibling => this._getNodeLabel(sibling)));
+        if (!taken.has(label)) return label;
+        let candidate = `${label} copy`;
+        for (let i = 2; taken.has(candidate); i++) {
+            candidate = `${label} copy ${i}`;
+        }
+        return candidate;
+    }
+
+    /**
+     * Rows that take the place of removed nodes: selectionId when the whole
+     * selection is removed (null otherwise), focusId for the focused row (the
+     * new selection when the focused row was part of it)
+     * @private
+     */
+    _getRemovalReplacements(removedIds) {
+        const isRemoved = (id) => removedIds.some(removedId => isSameOrDescendant(this.nodeIndex, id, removedId));
+        const rows = this._getVisibleRows();
+        const selection = this.getSelection();
+        let selectionId = null;
+        if (selection.length > 0 && selection.every(isRemoved)) {
+            const firstSelected = rows.find(row => this.selectedNodes.has(row.node.id));
+            selectionId = this._getReplacementRow(firstSelected ? firstSelected.node.id : selection[0], rows, isRemoved);
+        }
+        let focusId = this.focusedId;
+        if (focusId && isRemoved(focusId)) {
+            focusId = selectionId && this.selectedNodes.has(focusId) ? selectionId : this._getReplacementRow(focusId, rows, isRemoved);
+        }
+        return { focusId, selectionId };
+    }
+
+    /**
+     * Row that replaces a removed node: its next remaining sibling, else the
+     * previous one, else its parent, else the nearest remaining visible row
+     * @private
+     */
+    _getReplacementRow(id, rows, isRemoved) {
+        const index = rows.findIndex(row => row.node.id === id);
+        const parentId = this.getParentNode(id)?.id ?? null;
+        const after = rows.slice(index + 1);
+        const before = rows.slice(0, Math.max(index, 0)).reverse();
+        const remains = (row) => !isRemoved(row.node.id);
+        const isSibling = (row) => (row.parent ? row.parent.id : null) === parentId && remains(row);
+        const replacement = after.find(isSibling) || before.find(isSibling)
+            || before.find(row => row.node.id === parentId && remains(row))
+            || after.find(remains) || before.find(remains);
+        return replacement ? replacement.node.id : null;
+    }
+
+    /**
+     * Refresh several parents (null for the root) after a batch of structural
+     * changes. Parents that received nodes must come before the ones that lost
+     * them, so moved rows are reused instead of recreated.
+     * @private
+     */
+    _refreshParents(parentIds) {
+        if (this._filterPredicate) {
+            this._applyFilter();
+            this._render();
+            return;
+        }
+        if (this.options.virtualize) {
+            parentIds.forEach(id => id && this._refreshNode(id));
+            this._updateVirtualRows();
+        } else {
+            parentIds.forEach(id => this._refreshChildren(id));
+        }
+        this._refreshStructureToggles(parentIds);
+    }
+
+    // Sorting and grouping
+
+    /**
+     * Sort siblings at render time, without changing the data. The rule applies
+     * to the root nodes and to the children of nodes whose type has no `sort`
+     * of its own; a column sort takes precedence over both.
+     *
+     * A rule is 'manual' (the data order), 'label' (alphabetical), 'natural'
+     * (numbers in labels by value), 'foldersFirst', a compare function
+     * (a, b) => number, or an object:
+     * { by: 'label' | 'natural' | 'key' | 'toggle' | 'manual' | Function,
+     *   key, toggle, direction: 'asc' | 'desc', foldersFirst: boolean }
+     * @param {string|Function|Object|null} rule - Sort rule, null for the data order
+     */
+    setSort(rule) {
+        this._sort = rule ?? null;
+        this._viewSort = this._normalizeSortRule(this._sort);
+        this._resortChildren();
+    }
+
+    /**
+     * Current view sort rule, as passed to setSort
+     * @returns {string|Function|Object|null}
+     */
+    getSort() {
+        return this._sort;
+    }
+
+    /**
+     * Show siblings grouped under header rows, or as they are sorted
+     * @param {string|null} groupBy - 'type' to group by node type, null to stop grouping
+     */
+    setGrouping(groupBy) {
+        if (groupBy != null && groupBy !== 'type') {
+            console.warn(`Unknown grouping '${groupBy}', use 'type' or null`);
+            return;
+        }
+        if ((groupBy ?? null) === this._groupBy) return;
+        this._groupBy = groupBy ?? null;
+        this._resortChildren();
+    }
+
+    /**
+     * Current grouping
+     * @returns {string|null}
+     */
+    getGrouping() {
+        return this._groupBy;
+    }
+
+    /**
+     * Turn a sort rule (see setSort) into a sort spec for _sortNodes, or null
+     * for the data order. keys lists the properties and toggles the order
+     * depends on, null when it may depend on anything.
+     * @private
+     */
+    _normalizeSortRule(rule) {
+        if (rule == null || rule === 'manual') return null;
+        let spec = rule;
+        if (typeof rule === 'function') {
+            spec = { by: rule };
+        } else if (rule === 'foldersFirst') {
+            spec = { foldersFirst: true };
+        } else if (typeof rule === 'string') {
+            spec = { by: rule };
+        }
+        const by = spec.by ?? 'manual';
+        const sort = { direction: spec.direction === 'desc' ? 'desc' : 'asc', foldersFirst: !!spec.foldersFirst, keys: [] };
+        if (typeof by === 'function') {
+            sort.compare = by;
+            sort.keys = null;
+        } else if (by === 'label') {
+            sort.compare = (a, b) => TreeView._textCollator.compare(this._getNodeLabel(a), this._getNodeLabel(b));
+            sort.keys = ['label'];
+        } else if (by === 'natural') {
+            sort.value = (node) => this._getNodeLabel(node);
+            sort.keys = ['label'];
+        } else if (by === 'key' && spec.key) {
+            sort.value = (node) => node[spec.key];
+            sort.keys = [spec.key];
+        } else if (by === 'toggle' && this.options.toggleDefinitions[spec.toggle]) {
+            sort.value = (node) => this._getToggleSortValue(node, spec.toggle);
+            sort.keys = [spec.toggle];
+        } else if (by !== 'manual') {
+            console.warn('Invalid sort rule, using the data order:', rule);
+            return null;
+        }
+        return sort.compare || sort.value || sort.foldersFirst ? sort : null;
+    }
+
+    /**
+     * Sort spec for the children of a node (null for the root nodes): the
+     * column sort, else the sort of the node's type, else the view sort
+     * @private
+     */
+    _getChildSort(node) {
+        if (this._columnSort) {
+            return this._getColumnSortSpec();
+        }
+        const type = node ? node.type || 'custom' : null;
+        return type && this._typeSorts.has(type) ? this._typeSorts.get(type) : this._viewSort;
+    }
+
+    /**
+     * Sort siblings without changing the data. Folders come first when asked,
+     * empty values go last in both directions and equal nodes keep their data
+     * order.
+     * @private
+     */
+    _sortNodes(nodes, { value, compare, direction, foldersFirst }) {
+        const factor = direction === 'desc' ? -1 : 1;
+        const isEmpty = (v) => v == null || v === '';
+        const compareEntries = (a, b) => {
+            if (compare) {
+                return compare(a.node, b.node) * factor;
+            }
+            if (!value) return 0;
+            if (isEmpty(a.value) || isEmpty(b.value)) {
+                return (isEmpty(a.value) ? 1 : 0) - (isEmpty(b.value) ? 1 : 0);
+            }
+            const result = typeof a.value === 'number' && typeof b.value === 'number'
+                ? a.value - b.value
+                : TreeView._collator.compare(String(a.value), String(b.value));
+            return result * factor;
+        };
+        return nodes
+            .map((node, index) => ({
+                node,
+                index,
+                value: value ? value(node) : null,
+                folder: foldersFirst ? this._isFolder(node) : false
+            }))
+            .sort((a, b) => (b.folder - a.folder) || compareEntries(a, b) || a.index - b.index)
+            .map(entry => entry.node);
+    }
+
+    /**
+     * Whether foldersFirst puts a node first: it has children, has children to
+     * load or its type accepts children
+     * @private
+     */
+    _isFolder(node) {
+        if (Array.isArray(node.children) ? node.children.length > 0 : this._isLazy(node)) return true;
+        return this.model.getAllowedChildren(node).length > 0;
+    }
+
+    /**
+     * Position of a node's effective toggle value among the toggle's values,
+     * null where the toggle is hidden
+     * @private
+     */
+    _getToggleSortValue(node, toggleKey) {
+        if (!this.model.shouldShowToggle(node, toggleKey)) return null;
+        const value = this.model.getEffectiveToggleValue(node, toggleKey);
+        const index = this.options.toggleDefinitions[toggleKey]?.values?.indexOf(value) ?? -1;
+        return index < 0 ? null : index;
+    }
+
+    /**
+     * Move rows to their sorted place after values changed. key is the changed
+     * property or toggle (null when unknown); ids are the changed nodes.
+     * @private
+     */
+    _refreshSortOrder(key, ids) {
+        const parentIds = new Set();
+        let all = false;
+        ids.forEach(id => {
+            const entry = this.nodeIndex.get(id);
+            if (!entry) return;
+            const parentId = entry.parent ? entry.parent.id : null;
+            const sort = this._getChildSort(entry.parent);
+            if (sort && (key === null || !sort.keys || sort.keys.includes(key))) {
+                // Descendants of the changed nodes inherit hierarchical toggles
+                all = all || !!sort.keys?.some(sortKey => this._isHierarchicalToggle(sortKey));
+                parentIds.add(parentId);
+            } else if (this._groupBy === 'type' && (key === null || key === 'type')) {
+                parentIds.add(parentId);
+            }
+        });
+        if (all) {
+            this._resortChildren();
+        } else if (parentIds.size > 0) {
+            this._refreshParents(parentIds);
+        }
+    }
+
+    /**
+     * Put the rendered children of all parents in display order
+     * @private
+     */
+    _resortChildren() {
+        const parentIds = new Set([null]);
+        this.childContainers.forEach((group, id) => parentIds.add(id));
+        this._refreshParents(parentIds);
+    }
+
+    /**
+     * Precede each run of same-type siblings with a group header row. Groups
+     * follow the order of nodeTypes; types it does not list go last.
+     * @private
+     */
+    _groupRows(parent, children) {
+        const groups = new Map();
+        children.forEach(child => {
+            if (child.placeholder) return;
+            const type = child.type || 'custom';
+            if (!groups.has(type)) groups.set(type, []);
+            groups.get(type).push(child);
+        });
+        if (groups.size === 0) return children;
+        const typeOrder = Object.keys(this.options.nodeTypes);
+        const rank = (type) => {
+            const index = typeOrder.indexOf(type);
+            return index < 0 ? typeOrder.length : index;
+        };
+        const parentId = parent ? parent.id : null;
+        return [...groups.entries()]
+            .sort(([a], [b]) => rank(a) - rank(b))
+            .flatMap(([type, nodes]) => [{
+                id: `${parentId ?? ''}::group:${type}:${nodes.length}`,
+                placeholder: 'group',
+                parentId,
+                label: `${this.options.nodeTypes[type]?.label || type} (${nodes.length})`
+            }, ...nodes]);
+    }
+
+    // View state
+
+    /**
+     * Capture what the user sees, independently of the data: expanded nodes,
+     * selection, focused row and scroll offset, plus the column sort and
+     * widths in table mode. The result can be stored as JSON.
+     * @returns {{expanded: Array, selection: Array, focused: string|null, scrollTop: number, scrollLeft: number}}
+     */
+    getViewState() {
+        const pending = [...this._pendingExpanded].filter(id => !this.nodeIndex.has(id));
+        const state = {
+            expanded: [...this._collectExpandedIds(this.options.data), ...pending],
+            selection: this.getSelection(),
+            focused: this.focusedId,
+            scrollTop: this.container.scrollTop,
+            scrollLeft: this.container.scrollLeft
+        };
+        if (this.columns.length > 0) {
+            state.sort = this.getColumnSort();
+            state.columnWidths = this.getColumnWidths();
+        }
+        return state;
+    }
+
+    /**
+     * Restore a state returned by getViewState. Fields that are missing are
+     * left as they are. Nodes not listed in `expanded` are collapsed; listed
+     * ids of nodes that do not exist yet are expanded once their lazy parent
+     * loads or the data is replaced. Fires no callbacks.
+     * @param {Object} state
+     */
+    setViewState(state) {
+        if (!state || typeof state !== 'object') {
+            console.warn('setViewState expects an object returned by getViewState');
+            return;
+        }
+        const hadFocus = this.container.contains(document.activeElement);
+        if (this._renameState) {
+            this._finishRename(false);
+        }
+        if (Array.isArray(state.expanded)) {
+            this._applyExpandedIds(new Set(state.expanded));
+        }
+        if (this.columns.length > 0) {
+            Object.entries(state.columnWidths || {}).forEach(([key, width]) => {
+                const column = this._getColumn(key);
+                if (column && typeof width === 'number') this._setColumnWidth(column, width);
+            });
+            if (state.sort !== undefined) {
+                const { key, direction } = state.sort || {};
+                const isKnown = key === 'label' || !!this._getColumn(key);
+                this._columnSort = isKnown && (direction === 'asc' || direction === 'desc') ? { key, direction } : null;
+            }
+        }
+        if (Array.isArray(state.selection)) {
+            this.setSelection(state.selection);
+        }
+        if (state.focused !== undefined) {
+            this.focusedId = this.nodeIndex.has(state.focused) ? state.focused : null; // Rendered as the tab stop
+        }
+        
+        this._render();
+        this._updateHeaderSort();
+        this._loadExpandedLazyNodes(this.options.data);
+        if (typeof state.scrollTop === 'number') {
+            this.container.scrollTop = state.scrollTop;
+        }
+        if (typeof state.scrollLeft === 'number') {
+            this.container.scrollLeft = state.scrollLeft;
+        }
+        if (this.options.virtualize) {
+            this._renderVirtualWindow();
+        }
+        if (hadFocus && this._getTabStopId()) {
+            this.nodeElements.get(this._getTabStopId())?.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Ids of the expanded nodes in a node array, in tree order
+     * @private
+     */
+    _collectExpandedIds(nodes) {
+        const ids = [];
+        const visit = (list) => list.forEach(node => {
+            if (node.expanded === true) ids.push(node.id);
+            if (node.children) visit(node.children);
+        });
+        visit(nodes || []);
+        return ids;
+    }
+
+    /**
+     * Expand exactly the given nodes. Ids that are not in the tree yet are
+     * kept for _expandPendingNodes.
+     * @private
+     */
+    _applyExpandedIds(ids) {
+        this._pendingExpanded = new Set([...ids].filter(id => !this.nodeIndex.has(id)));
+        this._updateModel(() => {
+            this.nodeIndex.forEach((entry, id) => this.model.setExpanded(id, ids.has(id)));
+        });
+    }
+
+    /**
+     * Expand newly loaded nodes that a restored view state listed as expanded
+     * @private
+     */
+    _expandPendingNodes(nodes) {
+        if (this._pendingExpanded.size === 0) return;
+        const visit = (list) => list.forEach(node => {
+            if (this._pendingExpanded.delete(node.id)) {
+                this._updateModel(() => this.model.setExpanded(node.id, true));
+            }
+            if (node.children) visit(node.children);
+        });
+        visit(nodes || []);
+    }
+
+    /**
+     * Write the view state to localStorage soon, collecting quick successive changes
+     * @private
+     */
+    _scheduleViewStateSave() {
+        if (!this.options.persistViewState) return;
+        clearTimeout(this._viewStateTimer);
+        this._viewStateTimer = setTimeout(() => this._saveViewState(), TreeView.CONSTANTS.DELAYS.SAVE_VIEW_STATE);
+    }
+
+    /**
+     * @private
+     */
+    _saveViewState() {
+        clearTimeout(this._viewStateTimer);
+        this._viewStateTimer = null;
+        try {
+            localStorage.setItem(this.options.persistViewState, JSON.stringify(this.getViewState()));
+        } catch (error) {
+            console.warn(`Saving the view state under '${this.options.persistViewState}' failed:`, error);
+        }
+    }
+
+    /**
+     * Apply the view state saved under the persistViewState key, if any
+     * @private
+     */
+    _restoreViewState() {
+        const key = this.options.persistViewState;
+        if (!key) return;
+        let state = null;
+        try {
+            state = JSON.parse(localStorage.getItem(key));
+        } catch (error) {
+            console.warn(`Ignoring the view state stored under '${key}':`, error);
+        }
+        if (state) {
+            this.setViewState(state);
+        }
+    }
+
+    // History
+
+    /**
+     * Undo the last recorded change (a single edit or a transaction)
+     * @returns {boolean} True if something was undone
+     */
+    undo() {
+        return this._replayHistory('undo');
+    }
+
+    /**
+     * Redo the last undone change
+     * @returns {boolean} True if something was redone
+     */
+    redo() {
+        return this._replayHistory('redo');
+    }
+
+    /**
+     * @returns {boolean} True if there is a change to undo
+     */
+    canUndo() {
+        return this.history.canUndo();
+    }
+
+    /**
+     * @returns {boolean} True if there is a change to redo
+     */
+    canRedo() {
+        return this.history.canRedo();
+    }
+
+    /**
+     * Forget all recorded changes
+     */
+    clearHistory() {
+        this.history.clear();
+    }
+
+    /**
+     * Group the changes made until endTransaction() into a single undo step.
+     * Transactions can be nested.
+     * @param {string} label - Description of the step
+     */
+    beginTransaction(label) {
+        this.history.begin(label);
+    }
+
+    /**
+     * Close a transaction started with beginTransaction()
+     */
+    endTransaction() {
+        this.history.end();
+    }
+
+    /**
+     * Run a function as a single undo step
+     * @param {string} label - Description of the step
+     * @param {Function} fn - Makes the changes through the TreeView API
+     * @returns {any} The return value of fn
+     */
+    transaction(label, fn) {
+        this.history.begin(label);
+        try {
+            return fn();
+        } finally {
+            this.history.end();
+        }
     }
 
     /**
-     * Handle toggle click events
      * @private
      */
-    _handleToggleClick(node, path, toggleKey, toggleDefinition, onToggleClick) {
-        // Check if this is an action toggle (no values or empty values array)
-        const isActionToggle = !toggleDefinition?.values || toggleDefinition.values.length === 0;
-        
-        if (isActionToggle) {
-            // Handle built-in actions like 'add'
-            if (toggleKey === 'add') {
-                this._handleAddChildNode(node, path);
-            } else {
-                // Custom action toggle - call the callback
-                if (onToggleClick) {
-                    onToggleClick(path, toggleKey, null, null, node, 'action');
-                }
-            }
-            return;
+    _recordCommand(command) {
+        if (!this.options.enableHistory || this._replayingHistory) return;
+        this.history.record(command);
+    }
+
+    /**
+     * Record a move of a node that was at `from` before
+     * @private
+     */
+    _recordMove(id, from) {
+        this._recordCommand({ type: 'move', label: 'Move', id, from, to: this._getNodeLocation(id) });
+    }
+
+    /**
+     * Position of a node as { parentId, index } (parentId is null for root nodes)
+     * @private
+     */
+    _getNodeLocation(id) {
+        return this.model.getLocation(id);
+    }
+
+    /**
+     * Take a node and its descendants out of the model
+     * @private
+     * @returns {{node: Object, location: {parentId: string|null, index: number}}}
+     */
+    _detachNode(id) {
+        return this._updateModel(() => this.model.removeNode(id));
+    }
+
+    /**
+     * Put a detached node back at a position
+     * @private
+     */
+    _attachNode(node, parentId, index) {
+        this._updateModel(() => this.model.addNode(node, parentId, index));
+    }
+
+    /**
+     * Move a node to an index in the children of another parent
+     * @private
+     */
+    _relocateNode(id, parentId, index) {
+        this._updateModel(() => this.model.moveNode(id, parentId, index));
+    }
+
+    /**
+     * Apply a history entry backwards (undo) or forwards (redo) and update the
+     * affected rows. The operation callbacks (onNodeAdd, onNodeDrop, ...) are
+     * not fired again; onHistoryChange reports the step instead.
+     * @private
+     */
+    _replayHistory(direction) {
+        if (!this.options.enableHistory) return false;
+        const hadFocus = this.container.contains(document.activeElement);
+        if (this._renameState) {
+            this._finishRename(false);
         }
         
-        // Regular toggle handling
-        if (this._shouldShowToggle(node, toggleKey) && !isActionToggle) {
-            // Ensure node.toggles exists
-            if (!node.toggles) {
-                node.toggles = {};
+        return this.history[direction](entry => {
+            const reverse = direction === 'undo';
+            const commands = reverse ? [...entry.commands].reverse() : entry.commands;
+            const parentIds = new Set();
+            const nodeIds = new Set();
+            this._replayingHistory = true;
+            try {
+                commands.forEach(command => this._applyHistoryCommand(command, reverse, parentIds, nodeIds));
+            } finally {
+                this._replayingHistory = false;
             }
             
-            const oldValue = this._getToggleValue(node, toggleKey);
-            let newValue;
-            
-            if (toggleDefinition && toggleDefinition.values && toggleDefinition.values.length > 0) {
-                // Cycle through defined values
-                const currentIndex = toggleDefinition.values.indexOf(oldValue);
-                const nextIndex = (currentIndex + 1) % toggleDefinition.values.length;
-                newValue = toggleDefinition.values[nextIndex];
-            } else {
-                // Default boolean toggle
-                newValue = !oldValue;
+            this._refreshParents(parentIds);
+            nodeIds.forEach(id => this._refreshNode(id));
+            if (parentIds.size === 0 && nodeIds.size > 0) {
+                this._refreshToggles(null, [...nodeIds]);
+                this._refreshSortOrder(null, [...nodeIds]);
             }
-            
-            node.toggles[toggleKey] = newValue;
-            
-            // Update the toggle icon (only for regular toggles, not action toggles)
-            const nodeElement = this.nodeElements.get(path);
-            if (nodeElement) {
-                const toggle = nodeElement.querySelector(`[data-property="${toggleKey}"]`);
-                if (toggle) {
-                    if (toggleDefinition && toggleDefinition.icons) {
-                        const iconData = toggleDefinition.icons[newValue] || '?';
-                        // Handle SVG icons properly
-                        if (typeof iconData === 'string' && iconData.trim().startsWith('<svg')) {
-                            toggle.innerHTML = iconData;
-                            const svg = toggle.querySelector('svg');
-                            if (svg) {
-                                if (toggleDefinition.styles && toggleDefinition.styles[newValue]) {
-                                    Object.assign(svg.style, toggleDefinition.styles[newValue]);
-                                }
-                            }
-                        } else {
-                            toggle.textContent = iconData;
-                            // Apply value-specific styles for text icons
-                            if (toggleDefinition.styles && toggleDefinition.styles[newValue]) {
-                                Object.assign(toggle.style, toggleDefinition.styles[newValue]);
-                            }
-                        }
-                        toggle.title = `${toggleDefinition.label || toggleKey}: ${newValue}`;
-                    } else {
-                        toggle.textContent = newValue ? '✓' : '✗';
-                        toggle.title = `${toggleKey}: ${newValue}`;
-                    }
-                }
+            if (!this.nodeIndex.has(this.anchorId)) {
+                this.anchorId = null;
             }
-            
-            // Call the callback for regular toggles
-            if (onToggleClick) {
-                onToggleClick(path, toggleKey, newValue, oldValue, node, 'toggle');
+            this._updateSelection(this.getSelection()); // Drops nodes that were removed again
+            if (this.focusedId && !this.nodeIndex.has(this.focusedId)) {
+                this.focusedId = null;
+                if (hadFocus && this._getTabStopId()) {
+                    this._focusNode(this._getTabStopId());
+                }
             }
-        }
+        });
     }
 
     /**
-     * Handle adding child nodes
      * @private
      */
-    _handleAddChildNode(node, path) {
-        const nodeType = node.type || 'custom';
-        // Check if node has its own allowedChildren override, otherwise use node type default
-        const allowedChildren = node.allowedChildren || this.options.nodeTypes[nodeType]?.allowedChildren || [];
-        
-        if (allowedChildren.length === 0) {
-            console.warn(`No allowed child types for node '${node.label}' (type: ${nodeType})`);
+    _applyHistoryCommand(command, reverse, parentIds, nodeIds) {
+        // Nodes can disappear outside the history, e.g. when a lazy branch is reloaded
+        const insert = (command.type === 'add') !== reverse;
+        let requiredIds = [command.id];
+        if (command.type === 'add' || command.type === 'remove') {
+            requiredIds = [insert ? command.parentId : command.node.id];
+        } else if (command.type === 'move') {
+            requiredIds.push((reverse ? command.from : command.to).parentId);
+        }
+        const missingId = requiredIds.find(id => id && !this.nodeIndex.has(id));
+        if (missingId) {
+            console.warn(`Skipping '${command.label}' in history, node '${missingId}' no longer exists`);
             return;
         }
         
-        if (allowedChildren.length === 1) {
-            this._addChildNode(node, allowedChildren[0]);
-        } else {
-            this._showChildTypeMenu(node, allowedChildren, path);
+        switch (command.type) {
+            case 'add':
+            case 'remove': {
+                if (insert) {
+                    this._attachNode(command.node, command.parentId, command.index);
+                } else {
+                    this._detachNode(command.node.id);
+                }
+                parentIds.add(command.parentId);
+                break;
+            }
+            case 'move': {
+                const [from, to] = reverse ? [command.to, command.from] : [command.from, command.to];
+                this._relocateNode(command.id, to.parentId, to.index);
+                // The receiving parent first, so the row element is moved rather than recreated
+                parentIds.add(to.parentId);
+                parentIds.add(from.parentId);
+                break;
+            }
+            case 'rename':
+                this._updateModel(() => this.model.setProperty(command.id, 'label', reverse ? command.oldLabel : command.newLabel));
+                nodeIds.add(command.id);
+                break;
+            case 'toggle':
+                // Undefined falls back to the node type default again
+                this._updateModel(() => this.model.setToggle(command.id, command.key, reverse ? command.oldValue : command.newValue));
+                nodeIds.add(command.id);
+                break;
+            default:
+                console.warn(`Unknown history command '${command.type}'`);
         }
     }
 
+    // Lazy loading
+
     /**
-     * Add a child node of the specified type
-     * @private
+     * Drop the cached children of a lazy node so they are fetched again. An
+     * expanded node reloads right away, a collapsed one on its next expand.
+     * @param {string} id - Node id
+     * @returns {boolean} True if the node is lazy
      */
-    _addChildNode(node, childType) {
-        if (!node.children) {
-            node.children = [];
-        }
-        
-        const defaultToggles = this.options.nodeTypes[childType]?.defaultToggles || {};
-        const newChild = {
-            id: `new_${Date.now()}`,
-            label: `New ${childType} ${node.children.length + 1}`,
-            type: childType,
-            toggles: { ...defaultToggles }
-        };
+    invalidateChildren(id) {
+        const node = this.getNodeById(id);
+        if (!node || !this._isLazy(node)) return false;
         
-        node.children.push(newChild);
-        node.expanded = true; // Expand parent to show new child
-        this._render();
-        this.onNodeAdd(node, newChild, 'add_child', childType);
-        // Notify via callback
-       // if (this.onToggleClick) {
-      //      this.onToggleClick(null, 'add', null, null, newChild, 'add_child');
-       // }
-    }
-
-    /**
-     * Show context menu for child type selection
-     * @private
-     */
-    _showChildTypeMenu(node, allowedChildren, path) {
-        // Remove any existing menu
-        this._removeChildTypeMenu();
-        
-        const menu = document.createElement('div');
-        menu.className = 'treeview-child-type-menu';
-        menu.style.cssText = `
-            position: absolute;
-            background: #2d2d2d;
-            color: #e0e0e0;
-            border: 1px solid #555;
-            border-radius: 4px;
-            padding: 4px;
-            z-index: 1000;
-            font-family: monospace;
-            font-size: 12px;
-            box-shadow: 0 2px 8px rgba(0,0,0,0.3);
-        `;
-        
-        allowedChildren.forEach(childType => {
-            const item = document.createElement('div');
-            item.textContent = `Add ${childType}`;
-            item.style.cssText = `
-                padding: 4px 8px;
-                cursor: pointer;
-                border-radius: 2px;
-            `;
-            item.onmouseenter = () => item.style.backgroundColor = '#404040';
-            item.onmouseleave = () => item.style.backgroundColor = '';
-            item.onclick = () => {
-                this._addChildNode(node, childType);
-                this._removeChildTypeMenu();
-            };
-            menu.appendChild(item);
-        });
-        
-        document.body.appendChild(menu);
-        this._currentMenu = menu;
+        const hadFocus = this.container.contains(document.activeElement);
+        this._lazyState.delete(id); // A load still in flight is ignored when it resolves
+        if (this._renameState && isSameOrDescendant(this.nodeIndex, this._renameState.id, id) && this._renameState.id !== id) {
+            this._finishRename(false);
+        }
+        this._updateModel(() => this.model.setChildren(id, undefined));
         
-        // Position menu near the add button
-        const nodeElement = this.nodeElements.get(path);
-        if (nodeElement) {
-            const addButton = nodeElement.querySelector('[data-property="add"]');
-            if (addButton) {
-                const rect = addButton.getBoundingClientRect();
-                menu.style.left = `${rect.left}px`;
-                menu.style.top = `${rect.bottom + 2}px`;
+        this._refreshChildren(id);
+        if (!this.nodeIndex.has(this.anchorId)) {
+            this.anchorId = null;
+        }
+        this._updateSelection(this.getSelection());
+        if (this.focusedId && !this.nodeIndex.has(this.focusedId)) {
+            this._setFocusedId(id);
+            if (hadFocus) {
+                this.nodeElements.get(id)?.focus({ preventScroll: true });
             }
         }
-        
-        // Close menu on outside click
-        setTimeout(() => {
-            document.addEventListener('click', this._closeMenuHandler = () => this._removeChildTypeMenu(), { once: true });
-        }, 0);
+        if (this._isExpanded(node)) {
+            this._loadChildren(node);
+        }
+        return true;
     }
 
     /**
-     * Remove child type menu
-     * @private
+     * Fetch the children of a lazy node again, replacing the cached ones
+     * @param {string} id - Node id
+     * @returns {Promise<Array|null>} The loaded children, or null when loading failed
      */
-    _removeChildTypeMenu() {
-        if (this._currentMenu && this._currentMenu.parentNode) {
-            this._currentMenu.parentNode.removeChild(this._currentMenu);
-        }
-        this._currentMenu = null;
-        if (this._closeMenuHandler) {
-            document.removeEventListener('click', this._closeMenuHandler);
-            this._closeMenuHandler = null;
+    reloadChildren(id) {
+        if (!this.invalidateChildren(id)) {
+            return Promise.resolve(null);
         }
+        return this._lazyState.get(id)?.promise || this._loadChildren(this.getNodeById(id));
     }
 
     /**
-     * Default node renderer with toggle support
-     * @private
+     * Loading state of a lazy node
+     * @param {string} id - Node id
+     * @returns {string|null} 'unloaded', 'loading', 'error' or 'loaded'; null for nodes that are not lazy
      */
-    _defaultNodeRenderer(node, path, state) {
-        const container = document.createElement('div');
-        container.style.display = 'flex';
-        container.style.alignItems = 'center';
-        container.style.width = '100%';
+    getLoadState(id) {
+        const node = this.getNodeById(id);
+        if (!node || !this._isLazy(node)) return null;
+        return this._lazyState.get(id)?.status || (Array.isArray(node.children) ? 'loaded' : 'unloaded');
+    }
 
-        // Expansion icon (always create a placeholder for consistent indentation)
-        if (this.options.showIcons) {
-            const expandIcon = document.createElement('span');
-            expandIcon.className = 'treeview-expand-icon';
-            expandIcon.style.marginRight = '4px';
-            expandIcon.style.minWidth = '12px';
-            expandIcon.style.textAlign = 'center';
-            expandIcon.style.display = 'inline-flex';
-            expandIcon.style.alignItems = 'center';
-            expandIcon.style.justifyContent = 'center';
-            
-            if (state.hasChildren) {
-                // Show actual expand/collapse icon for nodes with children
-                const iconSvg = state.isExpanded ? TreeView.CONSTANTS.ICONS.EXPANDED : TreeView.CONSTANTS.ICONS.COLLAPSED;
-                if (iconSvg.includes('<svg')) {
-                    expandIcon.innerHTML = iconSvg;
-                    const svg = expandIcon.querySelector('svg');
-                    if (svg) {
-                        svg.style.width = '12px';
-                        svg.style.height = '12px';
-                        svg.style.display = 'block';
-                    }
-                } else {
-                    expandIcon.textContent = iconSvg;
-                }
-            } else {
-                // For leaf nodes, add empty space to maintain indentation
-                expandIcon.innerHTML = '&nbsp;'; // Non-breaking space placeholder
-            }
-            container.appendChild(expandIcon);
-        }
+    /**
+     * @private
+     */
+    _isLazy(node) {
+        return !!this.options.loadChildren && !!(node.lazy || node.hasChildren);
+    }
 
-        // Type icon (only if showIcons is enabled and we have node types defined)
-        if (this.options.showIcons && this.options.nodeTypes) {
-            const typeIcon = document.createElement('span');
-            typeIcon.className = 'treeview-type-icon';
-            typeIcon.style.marginRight = '4px';
-            typeIcon.style.minWidth = '12px';
-            typeIcon.style.textAlign = 'center';
-            typeIcon.style.display = 'inline-flex';
-            typeIcon.style.alignItems = 'center';
-            typeIcon.style.justifyContent = 'center';
-            
-            const nodeType = node.type || 'custom';
-            const typeIcons = this.options.nodeTypes[nodeType];
-            let icon = node.icon || typeIcons?.default || '•';
-            
-            // Use expanded/collapsed icons for folders
-            if (nodeType === 'folder' && state.hasChildren) {
-                icon = state.isExpanded ? (typeIcons?.expanded || icon) : (typeIcons?.collapsed || icon);
-            }
-            
-            // Apply icon-specific styling from node type definition
-            if (typeIcons?.iconStyle) {
-                Object.assign(typeIcon.style, typeIcons.iconStyle);
-            }
-            
-            if (typeof icon === 'string' && icon.includes('<svg')) {
-                typeIcon.innerHTML = icon;
-                const svg = typeIcon.querySelector('svg');
-                if (svg) {
-                    svg.style.width = '12px';
-                    svg.style.height = '12px';
-                    svg.style.display = 'block';
-                    
-                    // Apply SVG-specific styling from node type definition
-                    if (typeIcons?.svgStyle) {
-                        Object.assign(svg.style, typeIcons.svgStyle);
-                    }
-                }
-            } else {
-                typeIcon.textContent = icon;
-            }
-            container.appendChild(typeIcon);
-        }
+    /**
+     * Start loading the children of an expanded lazy node unless they are
+     * cached or already loading. A failed load is retried.
+     * @private
+     */
+    _ensureChildrenLoaded(node) {
+        if (!this._isLazy(node) || Array.isArray(node.children)) return;
+        if (this._lazyState.get(node.id)?.status === 'loading') return;
+        this._loadChildren(node);
+    }
 
-        // Label
-        const label = document.createElement('span');
-        label.className = 'treeview-label';
-        label.textContent = node.label || node.name || `Node ${path}`;
-        
-        // Apply label-specific styling from node type definition
-        const nodeType = node.type || 'custom';
-        const typeDefinition = this.options.nodeTypes[nodeType];
-        if (typeDefinition?.labelStyle) {
-            Object.assign(label.style, typeDefinition.labelStyle);
-        }
+    /**
+     * Call the loadChildren provider, showing a loading row until it settles
+     * and an error row with a retry button when it fails
+     * @private
+     * @returns {Promise<Array|null>} The loaded children, or null on failure
+     */
+    _loadChildren(node) {
+        const state = { status: 'loading', placeholder: this._createPlaceholder(node, 'loading') };
+        this._lazyState.set(node.id, state);
+        this._refreshChildren(node.id);
         
-        container.appendChild(label);
-
-        // Property toggles with column alignment
-        if (this.options.toggleOrder?.length > 0) {
-            const togglesContainer = document.createElement('span');
-            togglesContainer.className = 'treeview-toggles';
-            togglesContainer.style.marginLeft = 'auto';
-            togglesContainer.style.display = 'flex';
-            togglesContainer.style.alignItems = 'center';
-            
-            // Create toggles in the specified order for consistent column alignment
-            this.options.toggleOrder.forEach(toggleKey => {
-                const toggleColumn = document.createElement('span');
-                toggleColumn.style.width = '20px';
-                toggleColumn.style.textAlign = 'center';
-                toggleColumn.style.display = 'inline-block';
-                
-                // Check if this toggle should be visible for this node
-                if (this._shouldShowToggle(node, toggleKey)) {
-                    const toggleDef = this.options.toggleDefinitions[toggleKey];
-                    const toggle = this._createPropertyToggle(node, path, toggleKey, toggleDef, this.onToggleClick);
-                    toggleColumn.appendChild(toggle);
-                }
-                // If toggle shouldn't be shown, leave the column empty for alignment
-                togglesContainer.appendChild(toggleColumn);
+        // The result is dropped when the branch was invalidated, removed or the data replaced meanwhile
+        const isCurrent = () => this._lazyState.get(node.id) === state && this.getNodeById(node.id) === node;
+        state.promise = Promise.resolve()
+            .then(() => this.options.loadChildren(node))
+            .then(children => {
+                if (!isCurrent()) return null;
+                this._lazyState.delete(node.id);
+                this._updateModel(() => this.model.setChildren(node.id, Array.isArray(children) ? children : []));
+                this._expandPendingNodes(node.children);
+                this._refreshChildren(node.id);
+                this.onChildrenLoad(node.id, node.children, null);
+                this._loadExpandedLazyNodes(node.children);
+                return node.children;
+            }, error => {
+                if (!isCurrent()) return null;
+                console.error(`Loading children of node '${node.id}' failed:`, error);
+                state.status = 'error';
+                state.error = error;
+                state.placeholder = this._createPlaceholder(node, 'error', error);
+                this._refreshChildren(node.id);
+                this.onChildrenLoad(node.id, null, error);
+                return null;
             });
-            
-            container.appendChild(togglesContainer);
-        }
-
-        return container;
+        return state.promise;
     }
 
     /**
-     * Check if a toggle should be visible for a given node
+     * Load the children of lazy nodes that start out expanded
      * @private
      */
-    _shouldShowToggle(node, toggleKey) {
-        // Check if node explicitly hides this toggle with null
-        if (node.toggles && toggleKey in node.toggles && node.toggles[toggleKey] === null) {
-            return false; // Explicitly hidden
-        }
-        
-        // Check if node has explicit toggle visibility override
-        if (node.toggles && toggleKey in node.toggles && node.toggles[toggleKey] !== null) {
-            return true; // Node explicitly defines this toggle
-        }
-        
-        // Check node type defaults
-        const nodeType = node.type || 'custom';
-        const typeDefinition = this.options.nodeTypes[nodeType];
-        if (typeDefinition && typeDefinition.defaultToggles && toggleKey in typeDefinition.defaultToggles) {
-            // For action toggles, check if the default value is truthy
-            const toggleDef = this.options.toggleDefinitions[toggleKey];
-            const isActionToggle = !toggleDef?.values || toggleDef.values.length === 0;
-            
-            if (isActionToggle) {
-                return typeDefinition.defaultToggles[toggleKey] === true;
-            } else {
-                return true; // Regular toggles are shown if they're in defaultToggles
+    _loadExpandedLazyNodes(nodes) {
+        if (!this.options.loadChildren) return;
+        nodes.forEach(node => {
+            if (this._isLazy(node) && !Array.isArray(node.children)) {
+                if (this._isExpanded(node)) {
+                    this._ensureChildrenLoaded(node);
+                }
+            } else if (node.children) {
+                this._loadExpandedLazyNodes(node.children);
             }
-        }
-        
-        // Default: don't show toggle
-        return false;
+        });
     }
 
     /**
-     * Get the effective toggle value for a node (considering defaults)
+     * Stand-in child shown while loading or after a failure. It is rendered
+     * like a row but is not part of the data or the id index.
      * @private
      */
-    _getToggleValue(node, toggleKey) {
-        // Check if node has explicit value (but not null, which means hidden)
-        if (node.toggles && toggleKey in node.toggles && node.toggles[toggleKey] !== null) {
-            return node.toggles[toggleKey];
+    _createPlaceholder(node, status, error = null) {
+        return {
+            id: `${node.id}::${status}`,
+            placeholder: status,
+            parentId: node.id,
+            label: status === 'loading' ? 'Loading…' : `Failed to load: ${error?.message || error || 'unknown error'}`
+        };
+    }
+
+    /**
+     * @private
+     */
+    _createPlaceholderElement(placeholder) {
+        const element = document.createElement('div');
+        element.className = `treeview-node treeview-${placeholder.placeholder}`;
+        element.dataset.id = placeholder.id;
+        element.setAttribute('role', 'treeitem');
+        element.setAttribute('aria-disabled', 'true');
+        const level = placeholder.parentId ? getAncestorIds(this.nodeIndex, placeholder.parentId).length + 2 : 1;
+        element.setAttribute('aria-level', String(level));
+        element.tabIndex = -1;
+        Object.assign(element.style, TreeView.CONSTANTS.STYLES.NODE, TreeView.CONSTANTS.STYLES.PLACEHOLDER);
+        if (placeholder.placeholder === 'error') {
+            Object.assign(element.style, TreeView.CONSTANTS.STYLES.PLACEHOLDER_ERROR);
+        } else if (placeholder.placeholder === 'group') {
+            Object.assign(element.style, TreeView.CONSTANTS.STYLES.GROUP_HEADER);
         }
         
-        // Use node type default
-        const nodeType = node.type || 'custom';
-        const typeDefinition = this.options.nodeTypes[nodeType];
-        if (typeDefinition && typeDefinition.defaultToggles && toggleKey in typeDefinition.defaultToggles) {
-            return typeDefinition.defaultToggles[toggleKey];
-        }
+        const text = document.createElement('span');
+        text.className = 'treeview-placeholder-label';
+        text.textContent = placeholder.label;
+        Object.assign(text.style, TreeView.CONSTANTS.STYLES.PLACEHOLDER_LABEL);
+        element.appendChild(text);
         
-        // Fallback defaults
-        const toggleDef = this.options.toggleDefinitions[toggleKey];
-        if (toggleDef && toggleDef.values && toggleDef.values.length > 0) {
-            return toggleDef.values[0]; // First value as default
+        if (placeholder.placeholder === 'error') {
+            const retry = document.createElement('button');
+            retry.type = 'button';
+            retry.className = 'treeview-retry';
+            retry.textContent = 'Retry';
+            retry.tabIndex = -1; // Keyboard users retry with → on the parent row
+            Object.assign(retry.style, TreeView.CONSTANTS.STYLES.RETRY_BUTTON);
+            retry.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const node = this.getNodeById(placeholder.parentId);
+                if (node) {
+                    this._loadChildren(node);
+                }
+            });
+            element.appendChild(retry);
         }
         
-        return false; // Boolean default
+        element.addEventListener('click', (e) => e.stopPropagation());
+        this.nodeElements.set(placeholder.id, element);
+        return element;
     }
 
-    // Public API methods
-    
     /**
-     * Update the tree data and re-render
-     * @param {Array} data - New tree data
+     * Show only nodes matching a filter, plus their ancestors. Branches that
+     * contain matches are expanded in the filtered view without changing the
+     * stored `expanded` state of the nodes.
+     * 
+     * @param {string|Function|Object|null} filter - One of:
+     *   - a string, matched case-insensitively against the label (the match is highlighted)
+     *   - a predicate `(node) => boolean`
+     *   - an object `{ text, type, toggles, predicate }` where every given criterion must match:
+     *     `type` is a node type or array of types, `toggles` maps toggle keys to the
+     *     required effective value (e.g. `{ visible: false }`)
+     *   - null or an empty string to clear the filter
      */
-    setData(data) {
-        this.options.data = data;
+    setFilter(filter) {
+        this._setFilterState(filter);
         this._render();
     }
 
     /**
-     * Get currently selected node paths
-     * @returns {Array} Array of selected paths
+     * Remove the filter and show the tree with its stored expansion state
+     */
+    clearFilter() {
+        this.setFilter(null);
+    }
+
+    /**
+     * Get the filter passed to setFilter
+     * @returns {string|Function|Object|null}
+     */
+    getFilter() {
+        return this.filter;
+    }
+
+    /**
+     * @private
      */
-    getSelection() {
-        return Array.from(this.selectedNodes);
+    _setFilterState(filter) {
+        this.filter = filter || null;
+        this._filterPredicate = this._createFilterPredicate(this.filter);
+        const text = typeof filter === 'string' ? filter : filter?.text;
+        this._filterText = (text || '').trim().toLowerCase();
+        this._applyFilter();
     }
 
     /**
-     * Programmatically select nodes
-     * @param {Array} paths - Array of paths to select
+     * Turn a filter description into a predicate (null when nothing is filtered)
+     * @private
      */
-    setSelection(paths) {
-        // Clear current selection
-        this.selectedNodes.forEach(path => {
-            const element = this.nodeElements.get(path);
-            if (element) {
-                element.style.backgroundColor = '';
-                element.style.color = '';
-            }
-        });
+    _createFilterPredicate(filter) {
+        if (!filter) return null;
+        if (typeof filter === 'function') return filter;
         
-        this.selectedNodes.clear();
+        const criteria = typeof filter === 'string' ? { text: filter } : filter;
+        const text = (criteria.text || '').trim().toLowerCase();
+        const types = criteria.type != null ? [].concat(criteria.type) : null;
+        const toggles = Object.entries(criteria.toggles || {});
+        const predicate = criteria.predicate || null;
+        if (!text && !types && toggles.length === 0 && !predicate) return null;
         
-        // Apply new selection
-        paths.forEach(path => {
-            this.selectedNodes.add(path);
-            const element = this.nodeElements.get(path);
-            if (element) {
-                Object.assign(element.style, TreeView.CONSTANTS.STYLES.NODE_SELECTED);
-            }
-        });
+        return (node) => (!text || this._getNodeLabel(node).toLowerCase().includes(text))
+            && (!types || types.includes(node.type || 'custom'))
+            && toggles.every(([key, value]) => this.model.shouldShowToggle(node, key) && this.model.getEffectiveToggleValue(node, key) === value)
+            && (!predicate || predicate(node));
     }
 
     /**
-     * Expand or collapse a node
-     * @param {string} path - Node path
-     * @param {boolean} expanded - Whether to expand or collapse
+     * Evaluate the filter over the whole tree
+     * @private
      */
-    setNodeExpanded(path, expanded) {
-        const node = getNodeByPath(this.options.data, path);
-        if (node && node.expanded !== expanded) {
-            node.expanded = expanded;
-            this._render();
-            this.onNodeExpand(path, expanded);
+    _applyFilter() {
+        if (!this._filterPredicate) {
+            this._filterMatches = null;
+            this._filterVisible = null;
+            this._filterExpanded = null;
+            return;
         }
-    }
-
-    /**
-     * Get the expansion state of a node
-     * @param {string} path - The path to the node
-     * @returns {boolean} True if the node is expanded, false otherwise
-     */
-    isNodeExpanded(path) {
-        const node = getNodeByPath(this.options.data, path);
-        return node ? (node.expanded || false) : false;
+        
+        const matches = new Set();
+        const visible = new Set();
+        const expanded = new Set();
+        const visit = (nodes) => {
+            let anyVisible = false;
+            nodes.forEach(node => {
+                const childMatches = node.children ? visit(node.children) : false;
+                const isMatch = !!this._filterPredicate(node);
+                if (isMatch) matches.add(node.id);
+                if (childMatches) expanded.add(node.id);
+                if (isMatch || childMatches) {
+                    visible.add(node.id);
+                    anyVisible = true;
+                }
+            });
+            return anyVisible;
+        };
+        visit(this.options.data);
+        
+        this._filterMatches = matches;
+        this._filterVisible = visible;
+        this._filterExpanded = expanded;
     }
 
     /**
@@ -848,12 +4500,39 @@ export class TreeView {
      * Destroy the tree view and clean up
      */
     destroy() {
-        this._removeChildTypeMenu();
+        this._renameState = null;
+        if (this._viewStateTimer) {
+            this._saveViewState();
+        }
+        if (this._onPageHide) {
+            window.removeEventListener('pagehide', this._onPageHide);
+            this._onPageHide = null;
+        }
+        if (TreeView.clipboard?.source === this) {
+            TreeView.clipboard.source = null; // Cut nodes can still be pasted from the snapshot
+        }
+        this._endPointerDrag();
+        if (TreeView.activeDrag?.source === this) {
+            TreeView.activeDrag = null;
+        }
+        TreeView._containers.delete(this.container);
+        this.closeContextMenu();
+        this._clearFlash();
+        clearTimeout(this._typeAheadTimer);
+        if (this._virtualFrame) {
+            cancelAnimationFrame(this._virtualFrame);
+            this._virtualFrame = null;
+        }
+        if (this._resizeObserver) {
+            this._resizeObserver.disconnect();
+            this._resizeObserver = null;
+        }
         if (this.dropIndicator && this.dropIndicator.parentNode) {
             this.dropIndicator.parentNode.removeChild(this.dropIndicator);
         }
-        this._removeInsertionIndicators();
         this.container.remove();
+        this._modelSubscriptions.forEach(unsubscribe => unsubscribe());
+        this._modelSubscriptions = [];
         this.nodeElements.clear();
         this.selectedNodes.clear();
     }
@@ -869,92 +4548,425 @@ export class TreeView {
     // Drag and drop handling
 
     /**
-     * Start dragging
+     * Start dragging the row, or the whole selection when the row is selected.
+     * The nodes are published in TreeView.activeDrag for other trees and drop
+     * targets on the page, and as JSON in the drag data for other tabs.
      * @private
      */
-    _handleDragStart(event, node, path, nodeElement) {
-        this.draggedNode = node;
-        this.draggedPath = path;
-        event.dataTransfer.setData('text/plain', path);
-        event.dataTransfer.effectAllowed = 'move';
-        nodeElement.style.opacity = '0.5';
+    _handleDragStart(event, node, id, nodeElement) {
+        const ids = this._beginDrag(node, id);
+        const { MIME_TYPE } = TreeView.CONSTANTS.CLIPBOARD;
+        const payload = TreeView._createPayload({ dragId: TreeView.activeDrag.id, nodes: TreeView.activeDrag.nodes });
+        event.dataTransfer.setData(MIME_TYPE, payload);
+        event.dataTransfer.setData('text/plain', ids.map(nodeId => this._getNodeLabel(this.getNodeById(nodeId))).join('\n'));
+        event.dataTransfer.effectAllowed = 'copyMove';
+        if (ids.length > 1 && event.dataTransfer.setDragImage) {
+            const ghost = this._createDragGhost(node, ids.length);
+            event.dataTransfer.setDragImage(ghost, 8, 8);
+            setTimeout(() => ghost.remove(), 0); // The browser takes its snapshot during dragstart
+        }
         if (this.onNodeDrop) {
-            this.onNodeDrop(path, null, 'dragstart', node);
+            this.onNodeDrop(id, null, 'dragstart', node);
         }
     }
 
     /**
-     * Drag over handler
+     * Drag state shared by native and pointer drags: the row, or the whole
+     * selection when the row is selected, in tree order
+     * @private
+     */
+    _beginDrag(node, id) {
+        const ids = this._getOrderedTopLevelIds(this._getContextIds(id));
+        this.draggedNode = node;
+        this.draggedId = id;
+        this.draggedIds = ids;
+        TreeView.activeDrag = {
+            id: generateNodeId('drag'),
+            ids,
+            source: this,
+            nodes: ids.map(nodeId => JSON.parse(JSON.stringify(this.getNodeById(nodeId))))
+        };
+        ids.forEach(nodeId => {
+            const element = this.nodeElements.get(nodeId);
+            if (element) element.style.opacity = TreeView.CONSTANTS.STYLES.NODE_CUT.opacity;
+        });
+        return ids;
+    }
+
+    /**
+     * Drag image: the label of the dragged row and, for several nodes, a count
+     * @private
+     */
+    _createDragGhost(node, count) {
+        const ghost = document.createElement('div');
+        ghost.className = 'treeview-drag-ghost';
+        Object.assign(ghost.style, TreeView.CONSTANTS.STYLES.DRAG_GHOST);
+        const label = document.createElement('span');
+        label.textContent = this._getNodeLabel(node);
+        const badge = document.createElement('span');
+        badge.textContent = `${count} items`;
+        Object.assign(badge.style, TreeView.CONSTANTS.STYLES.DRAG_GHOST_COUNT);
+        ghost.appendChild(label);
+        if (count > 1) {
+            ghost.appendChild(badge);
+        }
+        document.body.appendChild(ghost);
+        return ghost;
+    }
+
+    /**
+     * Scroll the container while dragging near its top or bottom edge, faster
+     * closer to the edge
+     * @private
+     */
+    _autoScrollDuringDrag(event) {
+        if (!this._getDragSource(event)) return;
+        const rect = this.container.getBoundingClientRect();
+        const { AUTO_SCROLL_EDGE, AUTO_SCROLL_SPEED } = TreeView.CONSTANTS.LAYOUT;
+        const edge = Math.min(AUTO_SCROLL_EDGE, rect.height / 3);
+        let delta = 0;
+        if (event.clientY < rect.top + edge) {
+            delta = -Math.min(1, (rect.top + edge - event.clientY) / edge);
+        } else if (event.clientY > rect.bottom - edge) {
+            delta = Math.min(1, (event.clientY - (rect.bottom - edge)) / edge);
+        }
+        if (delta !== 0) {
+            this.container.scrollTop += Math.round(delta * AUTO_SCROLL_SPEED) || Math.sign(delta);
+        }
+    }
+
+    /**
+     * Expand a collapsed node after it was hovered for a while during a drag
+     * @private
+     */
+    _scheduleDragExpand(node) {
+        if (this._dragExpand?.id === node.id) return;
+        this._cancelDragExpand();
+        if (this._isExpanded(node) || !this._hasChildren(node)) return;
+        this._dragExpand = {
+            id: node.id,
+            timer: setTimeout(() => {
+                this._dragExpand.timer = null;
+                this.setNodeExpanded(node.id, true);
+            }, TreeView.CONSTANTS.DELAYS.DRAG_EXPAND)
+        };
+    }
+
+    /**
+     * @private
+     */
+    _cancelDragExpand() {
+        if (this._dragExpand) {
+            clearTimeout(this._dragExpand.timer);
+            this._dragExpand = null;
+        }
+    }
+
+    /**
+     * What is being dragged over the tree: nodes from a TreeView ('nodes',
+     * with drag null when they come from another tab), something from outside
+     * that createNodeFromDrop can convert ('external'), or null
+     * @private
+     */
+    _getDragSource(event) {
+        if (TreeView.activeDrag) {
+            return { type: 'nodes', drag: TreeView.activeDrag };
+        }
+        const types = Array.from(event.dataTransfer?.types || []);
+        if (types.includes(TreeView.CONSTANTS.CLIPBOARD.MIME_TYPE)) {
+            return { type: 'nodes', drag: null };
+        }
+        if (this.options.createNodeFromDrop && types.length > 0) {
+            return { type: 'external', drag: null };
+        }
+        return null;
+    }
+
+    /**
+     * 'move' or 'copy'. Nodes dragged from another tree use that tree's
+     * dragEffect; Alt switches it. Nodes from other tabs or outside are copied,
+     * and nodes that cannot be deleted are copied when they leave their tree.
+     * @private
+     */
+    _getDropEffect(event, source) {
+        const drag = source.drag;
+        if (!drag?.source) return 'copy';
+        const base = drag.source.options.dragEffect === 'copy' ? 'copy' : 'move';
+        const effect = event.altKey ? (base === 'copy' ? 'move' : 'copy') : base;
+        if (effect === 'move' && !this._sharesModel(drag.source) && !drag.ids.every(id => drag.source.canRemoveNode(id))) {
+            return 'copy';
+        }
+        return effect;
+    }
+
+    /**
+     * Parent that receives a drop, including a stand-in for the root level
+     * @private
+     */
+    _getDropParentNode(targetId, position) {
+        return this.model.getDropParent(targetId, position);
+    }
+
+    /**
+     * Check a drop while dragging. Nodes from other tabs and external data are
+     * only known on drop and are checked then.
      * @private
      */
-    _handleDragOver(event, node, path, nodeElement) {
-        if (!event || !this.draggedNode || this.draggedPath === path) return;
+    _canDrop(source, effect, targetId, position) {
+        const drag = source.drag;
+        if (source.type === 'external' || !drag) return true;
+        if (this._sharesModel(drag.source) && effect === 'move') {
+            return drag.ids.every(id => this.model.validateMove(id, targetId, position).valid);
+        }
+        const parent = this._getDropParentNode(targetId, position);
+        const nodes = drag.source ? drag.ids.map(id => drag.source.getNodeById(id)).filter(Boolean) : drag.nodes;
+        return nodes.length > 0 && nodes.every(n => this.model.canAcceptChild(parent, n));
+    }
 
+    /**
+     * Drop position from the pointer: top third before, bottom third after,
+     * otherwise inside. Sorted siblings have no place of their own, so drops
+     * on them always go inside.
+     * @private
+     */
+    _getDropPosition(nodeElement, event) {
+        const entry = this.nodeIndex.get(nodeElement.dataset.id);
+        if (entry && this._getChildSort(entry.parent)) return 'inside';
         const rect = nodeElement.getBoundingClientRect();
-        const mouseY = event.clientY;
         const third = rect.height / 3;
+        if (event.clientY < rect.top + third) return 'before';
+        if (event.clientY > rect.bottom - third) return 'after';
+        return 'inside';
+    }
 
-        let canDrop = false;
-
-        if (mouseY < rect.top + third) {
-            const parts = path.split('.');
-            const parentPath = parts.slice(0, -1).join('.');
-            const parentNode = parts.length > 1 ? getNodeByPath(this.options.data, parentPath) : { children: this.options.data, type: 'root' };
-            canDrop = canNodeAcceptChild(parentNode, this.draggedNode, this.options.nodeTypes, this.draggedPath, path);
-        } else if (mouseY > rect.bottom - third) {
-            const parts = path.split('.');
-            const parentPath = parts.slice(0, -1).join('.');
-            const parentNode = parts.length > 1 ? getNodeByPath(this.options.data, parentPath) : { children: this.options.data, type: 'root' };
-            canDrop = canNodeAcceptChild(parentNode, this.draggedNode, this.options.nodeTypes, this.draggedPath, path);
-        } else {
-            canDrop = canNodeAcceptChild(node, this.draggedNode, this.options.nodeTypes, this.draggedPath, path);
+    /**
+     * Drag enter handler
+     * @private
+     */
+    _handleDragEnter(event, node, id) {
+        if (this._getDragSource(event) && !this.draggedIds.includes(id)) {
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * Drag over handler
+     * @private
+     */
+    _handleDragOver(event, node, id, nodeElement) {
+        if (!event) return;
+        const source = this._getDragSource(event);
+        if (!source) return;
+        event.stopPropagation(); // Handled here, not by the container
+        if (this.draggedIds.includes(id)) {
+            this._cancelDragExpand();
+            this._hideDropIndicator();
+            return;
         }
+        this._scheduleDragExpand(node);
 
-        if (canDrop) {
+        const position = this._getDropPosition(nodeElement, event);
+        const effect = this._getDropEffect(event, source);
+        if (this._canDrop(source, effect, id, position)) {
             event.preventDefault();
+            event.dataTransfer.dropEffect = effect;
             this._showDropIndicator(nodeElement, event);
         } else {
             this._hideDropIndicator();
         }
     }
 
+    /**
+     * Drag over the empty area below the rows
+     * @private
+     */
+    _handleContainerDragOver(event) {
+        const source = this._getDragSource(event);
+        if (!source) return;
+        this._cancelDragExpand();
+        const { targetId, position } = this._getContainerDropTarget();
+        const effect = this._getDropEffect(event, source);
+        if (this.draggedIds.includes(targetId) || !this._canDrop(source, effect, targetId, position)) {
+            this._hideDropIndicator();
+            return;
+        }
+        event.preventDefault();
+        event.dataTransfer.dropEffect = effect;
+        const lastElement = targetId ? this.nodeElements.get(targetId) : null;
+        if (lastElement) {
+            this._showDropIndicator(lastElement, event, position);
+        } else {
+            this._hideDropIndicator();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _handleContainerDrop(event) {
+        const { targetId, position } = this._getContainerDropTarget();
+        this.dropPosition = position;
+        this._handleDrop(event, targetId ? this.getNodeById(targetId) : null, targetId);
+    }
+
+    /**
+     * The empty area targets the spot after the last root node
+     * @private
+     */
+    _getContainerDropTarget() {
+        const roots = this._getDisplayChildren(null);
+        return roots.length > 0 ? { targetId: roots[roots.length - 1].id, position: 'after' } : { targetId: null, position: 'inside' };
+    }
+
     /**
      * Drag leave handler
      * @private
      */
-    _handleDragLeave(event, node, path, nodeElement) {
+    _handleDragLeave(event, node, id, nodeElement) {
         if (!event.relatedTarget || !nodeElement.contains(event.relatedTarget)) {
             this._hideDropIndicator();
         }
     }
 
     /**
-     * Drop handler
+     * Drop handler. Nodes dragged within this tree are moved (or copied with
+     * Alt); nodes from elsewhere are inserted as copies with fresh ids and
+     * moved nodes are removed from their tree afterwards.
      * @private
      */
-    _handleDrop(event, targetNode, targetPath) {
-        if (!event || !this.draggedNode) return;
+    _handleDrop(event, targetNode, targetId) {
+        if (!event) return;
+        const source = this._getDragSource(event);
+        if (!source) return;
         event.preventDefault();
+        event.stopPropagation();
+        this._cancelDragExpand();
+        this._hideDropIndicator();
+        const position = this.dropPosition;
 
-        const validation = validateDragDropOperation(
-            this.options.data,
-            this.draggedPath,
-            targetPath,
-            this.options.nodeTypes,
-            this.dropPosition
-        );
+        if (source.type === 'external') {
+            this._dropExternal(event.dataTransfer, targetNode, targetId, position);
+            return;
+        }
+        const drag = source.drag || this._readDragData(event.dataTransfer);
+        if (!drag) return;
+        const effect = this._getDropEffect(event, { type: 'nodes', drag });
+        if (!this._sharesModel(drag.source) || effect === 'copy') {
+            const nodes = drag.source ? drag.ids.map(id => drag.source.getNodeById(id)).filter(Boolean) : drag.nodes;
+            const inserted = this._insertDroppedNodes(nodes, targetNode, targetId, position, { clone: true });
+            if (inserted.length > 0 && effect === 'move' && drag.source) {
+                drag.source._removeNodes(drag.ids, 'move');
+            }
+            return;
+        }
 
-        if (validation.valid) {
-            moveNode(this.options.data, this.draggedPath, targetPath, this.dropPosition);
-            this._render();
-            if (this.onNodeDrop) {
-                this.onNodeDrop(this.draggedPath, targetPath, 'drop', this.draggedNode, targetNode);
+        const ids = drag.ids.filter(id => this.nodeIndex.has(id));
+        for (const id of ids) {
+            const validation = this.model.validateMove(id, targetId, position);
+            if (!validation.valid) {
+                // All or nothing, so the dragged nodes stay together
+                this.onNodeDrop(id, targetId, 'drop_failed', this.getNodeById(id), targetNode, validation.reason);
+                return;
             }
-        } else if (this.onNodeDrop) {
-            this.onNodeDrop(this.draggedPath, targetPath, 'drop_failed', this.draggedNode, targetNode, validation.reason);
         }
+        if (ids.length === 0) return;
 
-        this._hideDropIndicator();
+        const target = this.nodeIndex.get(targetId);
+        const newParent = position === 'inside' ? target.node : target.parent;
+        // The destination comes first so the dragged elements are moved rather than recreated
+        const parentIds = new Set([newParent ? newParent.id : null]);
+        this.history.begin('Move');
+        this._moveNodes(ids, targetId, position, parentIds);
+        this.history.end();
+        this._refreshParents(parentIds);
+        ids.forEach(id => this.onNodeDrop(id, targetId, 'drop', this.getNodeById(id), targetNode));
+    }
+
+    /**
+     * Drag data written by a TreeView in another tab (only readable on drop)
+     * @private
+     */
+    _readDragData(dataTransfer) {
+        const payload = TreeView._parsePayload(dataTransfer?.getData(TreeView.CONSTANTS.CLIPBOARD.MIME_TYPE));
+        return payload ? { id: payload.dragId, ids: payload.nodes.map(n => n.id), source: null, nodes: payload.nodes } : null;
+    }
+
+    /**
+     * Convert a drop from outside with createNodeFromDrop. The factory is
+     * called during the drop event, so it can read the files synchronously.
+     * @private
+     */
+    _dropExternal(dataTransfer, targetNode, targetId, position) {
+        const parent = this._getDropParentNode(targetId, position);
+        const target = { targetId, position, parent: parent?.type === 'root' ? null : parent };
+        const dataVersion = this.options.data;
+        const fail = (error) => {
+            console.error('createNodeFromDrop failed:', error);
+            this.onNodeDrop(null, targetId, 'drop_failed', null, targetNode, error?.message || String(error));
+        };
+        let created;
+        try {
+            created = this.options.createNodeFromDrop(dataTransfer, target);
+        } catch (error) {
+            fail(error);
+            return;
+        }
+        Promise.resolve(created).then(result => {
+            const nodes = [].concat(result || []).filter(Boolean);
+            if (nodes.length === 0 || this.options.data !== dataVersion) return;
+            if (targetId && !this.nodeIndex.has(targetId)) {
+                this.onNodeDrop(null, targetId, 'drop_failed', null, targetNode, 'The drop target was removed');
+                return;
+            }
+            nodes.forEach(n => this._assignMissingIds(n));
+            this._insertDroppedNodes(nodes, targetNode, targetId, position);
+        }).catch(fail);
+    }
+
+    /**
+     * Give nodes created from a drop an id when they have none or one that is taken
+     * @private
+     */
+    _assignMissingIds(node) {
+        if (!node.id || this.nodeIndex.has(node.id)) {
+            node.id = generateNodeId(node.type || 'custom');
+        }
+        (node.children || []).forEach(child => this._assignMissingIds(child));
+    }
+
+    /**
+     * Insert nodes that arrived by drag and drop, cloned with fresh ids when
+     * `clone` is set. Nodes the drop parent does not accept are reported as
+     * 'drop_failed'.
+     * @private
+     */
+    _insertDroppedNodes(nodes, targetNode, targetId, position, { clone = false } = {}) {
+        const parent = this._getDropParentNode(targetId, position);
+        const accepted = nodes.filter(n => {
+            if (this.model.canAcceptChild(parent, n)) return true;
+            this.onNodeDrop(n.id, targetId, 'drop_failed', n, targetNode,
+                `Node type '${parent?.type || 'custom'}' cannot accept children of type '${n.type || 'custom'}'`);
+            return false;
+        }).map(n => clone ? cloneSubtree(n) : n);
+        if (accepted.length === 0) return [];
+
+        const siblings = [...(parent?.children || [])];
+        accepted.forEach(n => {
+            n.label = this._getUniqueLabel(this._getNodeLabel(n), siblings);
+            siblings.push(n);
+        });
+        this.history.begin('Drop');
+        this._insertNodes(accepted, targetId, position);
+        this.history.end();
+
+        const parentNode = this.getParentNode(accepted[0].id);
+        this._refreshParents(new Set([parentNode?.id ?? null]));
+        this._updateSelection(accepted.map(n => n.id), { anchorId: accepted[0].id });
+        accepted.forEach(n => {
+            this.onNodeAdd(parentNode, n, 'drop', n.type || 'custom');
+            this.onNodeDrop(n.id, targetId, 'drop', n, targetNode);
+        });
+        return accepted;
     }
 
     /**
@@ -962,19 +4974,288 @@ export class TreeView {
      * @private
      */
     _handleDragEnd() {
-        if (this.draggedPath) {
-            const el = this.nodeElements.get(this.draggedPath);
-            if (el) el.style.opacity = '';
-        }
+        const draggedIds = this.draggedIds;
+        this.draggedIds = [];
+        this._updateCutStyles(draggedIds); // Restores the opacity of the dragged rows
 
+        this._cancelDragExpand();
         this._hideDropIndicator();
         this.draggedNode = null;
-        this.draggedPath = null;
+        this.draggedId = null;
+        if (TreeView.activeDrag?.source === this) {
+            TreeView.activeDrag = null;
+        }
         if (this.onNodeDrop) {
             this.onNodeDrop(null, null, 'dragend');
         }
     }
 
+    // Pointer drag ('pointer' dragMode)
+
+    /**
+     * Arm a pointer drag. Mouse and pen drags start after the pointer moved a
+     * few pixels; touch drags after a long press, so that swiping still scrolls.
+     * @private
+     */
+    _handlePointerDown(event, node, id) {
+        if (event.button !== 0 || event.isPrimary === false || this._pointerDrag || this._renameState) return;
+        if (event.target.closest?.('.treeview-property-toggle, .treeview-rename-input, .treeview-retry')) return;
+
+        const state = {
+            pointerId: event.pointerId,
+            pointerType: event.pointerType,
+            node,
+            id,
+            startX: event.clientX,
+            startY: event.clientY,
+            lastEvent: event,
+            active: false,
+            timer: null,
+            repeat: null,
+            ghost: null,
+            tree: null,   // TreeView under the pointer
+            target: null  // Accepted drop target: { tree, node, id }
+        };
+        this._pointerDrag = state;
+        if (event.pointerType === 'touch') {
+            state.timer = setTimeout(() => this._startPointerDrag(), TreeView.CONSTANTS.DELAYS.LONG_PRESS);
+        }
+        state.onMove = (e) => this._handlePointerMove(e);
+        state.onUp = (e) => this._handlePointerUp(e);
+        state.onCancel = (e) => {
+            if (e.pointerId === state.pointerId) this._endPointerDrag();
+        };
+        state.onKeyDown = (e) => {
+            if (e.key === 'Escape' && state.active) {
+                e.preventDefault();
+                e.stopPropagation();
+                this._endPointerDrag();
+            }
+        };
+        document.addEventListener('pointermove', state.onMove);
+        document.addEventListener('pointerup', state.onUp);
+        document.addEventListener('pointercancel', state.onCancel);
+        document.addEventListener('keydown', state.onKeyDown, true);
+    }
+
+    /**
+     * @private
+     */
+    _handlePointerMove(event) {
+        const state = this._pointerDrag;
+        if (!state || event.pointerId !== state.pointerId) return;
+        state.lastEvent = event;
+        if (!state.active) {
+            const distance = Math.hypot(event.clientX - state.startX, event.clientY - state.startY);
+            if (distance < TreeView.CONSTANTS.LAYOUT.DRAG_THRESHOLD) return;
+            if (state.pointerType === 'touch') {
+                this._endPointerDrag(); // Moved before the long press: the user is scrolling
+                return;
+            }
+            this._startPointerDrag();
+        }
+        event.preventDefault();
+        this._updatePointerDrag(event);
+    }
+
+    /**
+     * @private
+     */
+    _startPointerDrag() {
+        const state = this._pointerDrag;
+        if (!state || state.active) return;
+        clearTimeout(state.timer);
+        state.active = true;
+        const ids = this._beginDrag(state.node, state.id);
+        state.ghost = this._createDragGhost(state.node, ids.length);
+        Object.assign(state.ghost.style, TreeView.CONSTANTS.STYLES.POINTER_DRAG_GHOST);
+        // Pointer events do not repeat while the pointer rests, auto-scroll and hover expand need them to
+        state.repeat = setInterval(() => this._updatePointerDrag(state.lastEvent), TreeView.CONSTANTS.DELAYS.DRAG_REPEAT);
+        this._updatePointerDrag(state.lastEvent);
+        if (this.onNodeDrop) {
+            this.onNodeDrop(state.id, null, 'dragstart', state.node);
+        }
+    }
+
+    /**
+     * Drag event stand-in, so the tree under the pointer can run the same
+     * dragover and drop handlers as for native drags
+     * @private
+     */
+    _createPointerDragEvent(event) {
+        return {
+            clientX: event.clientX,
+            clientY: event.clientY,
+            altKey: event.altKey,
+            dataTransfer: { types: [TreeView.CONSTANTS.CLIPBOARD.MIME_TYPE], dropEffect: 'none' },
+            defaultPrevented: false,
+            preventDefault() { this.defaultPrevented = true; },
+            stopPropagation() {}
+        };
+    }
+
+    /**
+     * Move the ghost and show the drop indicator of the tree under the pointer
+     * @private
+     */
+    _updatePointerDrag(event) {
+        const state = this._pointerDrag;
+        if (!state?.active) return;
+        state.ghost.style.left = `${event.clientX + 12}px`;
+        state.ghost.style.top = `${event.clientY + 12}px`;
+
+        const element = document.elementFromPoint(event.clientX, event.clientY);
+        const container = element?.closest('.treeview-container');
+        const tree = container ? TreeView._containers.get(container) : null;
+        if (state.tree && state.tree !== tree) {
+            state.tree._cancelDragExpand();
+            state.tree._hideDropIndicator();
+        }
+        state.tree = tree;
+        state.target = null;
+        if (!tree?.options.enableDragDrop) return;
+
+        const dragEvent = this._createPointerDragEvent(event);
+        tree._autoScrollDuringDrag(dragEvent);
+        const row = element.closest('.treeview-node');
+        const node = row ? tree.getNodeById(row.dataset.id) : null;
+        if (node) {
+            tree._handleDragOver(dragEvent, node, node.id, row);
+        } else {
+            tree._handleContainerDragOver(dragEvent);
+        }
+        if (dragEvent.defaultPrevented) {
+            state.target = { tree, node, id: node ? node.id : null };
+        }
+    }
+
+    /**
+     * @private
+     */
+    _handlePointerUp(event) {
+        const state = this._pointerDrag;
+        if (!state || event.pointerId !== state.pointerId) return;
+        if (state.active) {
+            this._updatePointerDrag(event);
+            const target = state.target;
+            if (target) {
+                const dropEvent = this._createPointerDragEvent(event);
+                if (target.node) {
+                    target.tree._handleDrop(dropEvent, target.node, target.id);
+                } else {
+                    target.tree._handleContainerDrop(dropEvent);
+                }
+            }
+        }
+        this._endPointerDrag();
+    }
+
+    /**
+     * Finish or cancel a pointer drag and remove its listeners
+     * @private
+     */
+    _endPointerDrag() {
+        const state = this._pointerDrag;
+        if (!state) return;
+        this._pointerDrag = null;
+        clearTimeout(state.timer);
+        clearInterval(state.repeat);
+        document.removeEventListener('pointermove', state.onMove);
+        document.removeEventListener('pointerup', state.onUp);
+        document.removeEventListener('pointercancel', state.onCancel);
+        document.removeEventListener('keydown', state.onKeyDown, true);
+        if (!state.active) return;
+
+        state.ghost.remove();
+        if (state.tree && state.tree !== this) {
+            state.tree._cancelDragExpand();
+            state.tree._hideDropIndicator();
+        }
+        this._handleDragEnd();
+        // The click that follows the pointerup must not change the selection
+        const suppressClick = (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+        };
+        window.addEventListener('click', suppressClick, { capture: true, once: true });
+        setTimeout(() => window.removeEventListener('click', suppressClick, true), 0);
+    }
+
+    /**
+     * Nodes carried by a drag event, for drop targets outside the tree.
+     * Returns { ids, nodes, source } (source is null when the nodes come from
+     * another tab, which can only be read on drop) or null for other drags.
+     * @param {DragEvent} event
+     * @returns {Object|null}
+     */
+    static getDragData(event) {
+        const drag = TreeView.activeDrag;
+        if (drag) {
+            const nodes = drag.source ? drag.ids.map(id => drag.source.getNodeById(id)).filter(Boolean) : drag.nodes;
+            return { ids: drag.ids, nodes, source: drag.source };
+        }
+        const payload = TreeView._parsePayload(event.dataTransfer?.getData(TreeView.CONSTANTS.CLIPBOARD.MIME_TYPE));
+        return payload ? { ids: payload.nodes.map(n => n.id), nodes: payload.nodes, source: null } : null;
+    }
+
+    /**
+     * Let an element outside the tree accept dragged nodes. The nodes stay in
+     * their tree (the drop effect is 'copy').
+     * @param {HTMLElement} element - Drop target
+     * @param {Object} options
+     * @param {Function} options.onDrop - Called with (data, event), data as returned by getDragData
+     * @param {Function} [options.accept] - (data, event) => boolean; data is null while dragging from another tab
+     * @param {Object} [options.hoverStyle] - Styles applied while nodes are dragged over the element
+     * @returns {Function} Removes the listeners again
+     */
+    static createDropTarget(element, options = {}) {
+        const accept = options.accept || (() => true);
+        const hoverStyle = options.hoverStyle || TreeView.CONSTANTS.STYLES.DROP_TARGET_HOVER;
+        let savedStyle = null;
+        const setHover = (hover) => {
+            if (hover && !savedStyle) {
+                savedStyle = Object.fromEntries(Object.keys(hoverStyle).map(key => [key, element.style[key]]));
+                Object.assign(element.style, hoverStyle);
+            } else if (!hover && savedStyle) {
+                Object.assign(element.style, savedStyle);
+                savedStyle = null;
+            }
+        };
+        const isNodeDrag = (event) => Array.from(event.dataTransfer?.types || []).includes(TreeView.CONSTANTS.CLIPBOARD.MIME_TYPE);
+        const onDragOver = (event) => {
+            if (!isNodeDrag(event)) return;
+            const data = TreeView.activeDrag ? TreeView.getDragData(event) : null;
+            if (!accept(data, event)) {
+                setHover(false);
+                return;
+            }
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            setHover(true);
+        };
+        const onDragLeave = (event) => {
+            if (!event.relatedTarget || !element.contains(event.relatedTarget)) {
+                setHover(false);
+            }
+        };
+        const onDrop = (event) => {
+            setHover(false);
+            const data = isNodeDrag(event) ? TreeView.getDragData(event) : null;
+            if (!data || !accept(data, event)) return;
+            event.preventDefault();
+            options.onDrop?.(data, event);
+        };
+        element.addEventListener('dragover', onDragOver);
+        element.addEventListener('dragleave', onDragLeave);
+        element.addEventListener('drop', onDrop);
+        return () => {
+            setHover(false);
+            element.removeEventListener('dragover', onDragOver);
+            element.removeEventListener('dragleave', onDragLeave);
+            element.removeEventListener('drop', onDrop);
+        };
+    }
+
     /**
      * Determine allowed parents
      * @private
@@ -995,18 +5276,15 @@ export class TreeView {
      * Display drop indicator
      * @private
      */
-    _showDropIndicator(nodeElement, event) {
+    _showDropIndicator(nodeElement, event, position = this._getDropPosition(nodeElement, event)) {
         const rect = nodeElement.getBoundingClientRect();
         this.dropIndicator.style.left = `${rect.left}px`;
         this.dropIndicator.style.width = `${rect.width}px`;
 
-        const mouseY = event.clientY;
-        const third = rect.height / 3;
-
-        if (mouseY < rect.top + third) {
+        if (position === 'before') {
             this.dropIndicator.style.top = `${rect.top}px`;
             this.dropPosition = 'before';
-        } else if (mouseY > rect.bottom - third) {
+        } else if (position === 'after') {
             this.dropIndicator.style.top = `${rect.bottom}px`;
             this.dropPosition = 'after';
         } else {
@@ -1034,7 +5312,7 @@ export class TreeView {
     _clearDropStyling(nodeElement) {
         nodeElement.classList.remove('drag-over-valid', 'drag-over-invalid');
         nodeElement.style.border = '';
-        if (!this.selectedNodes.has(nodeElement.dataset.path)) {
+        if (!this.selectedNodes.has(nodeElement.dataset.id)) {
             nodeElement.style.backgroundColor = '';
         }
     }
@@ -0,0 +1,213 @@
+// Copyright (c) 2024 Matthijs Keuper
+// SPDX-License-Identifier: MIT
+/**
+ * Validation of TreeView models
+ *
+ * Checks a model definition ({ nodeTypes, toggleDefinitions, toggleOrder },
+ * e.g. demoModel, or a TreeModel) for mistakes that otherwise fail silently,
+ * such as allowedChildren naming a type that does not exist or toggle values
+ * without an icon, and checks data against the allowedChildren rules.
+ *
+ * Issue Structure:
+ * {
+ *   severity: 'error' | 'warning',
+ *   code: string,           // Stable identifier, e.g. 'unknown-child-type'
+ *   message: string,        // Human readable description
+ *   path: string,           // Where in the model or data, e.g. 'nodeTypes.folder.allowedChildren[2]'
+ *   nodeId?: string,        // Id of the node, for issues found in the data
+ * }
+ *
+ * Errors break behavior (drops that can never succeed, toggles that cannot
+ * render); warnings are likely mistakes that still render ('?' icons,
+ * unknown node types).
+ */
+
+// Type of nodes without a type; valid without a definition
+const DEFAULT_TYPE = 'custom';
+
+// Icon keys that are not toggle values
+const SPECIAL_ICONS = ['default', 'mixed'];
+
+/**
+ * Validate a model definition and, optionally, data that uses it
+ * @param {Object} model - { nodeTypes, toggleDefinitions, toggleOrder }
+ * @param {Array} [data] - Root node array to check against the model
+ * @returns {{valid: boolean, errors: Array, warnings: Array}} valid is false when there are errors
+ */
+export function validateTreeModel(model = {}, data = null) {
+    const issues = [];
+    const report = (severity, code, path, message, nodeId) => {
+        issues.push(nodeId === undefined ? { severity, code, message, path } : { severity, code, message, path, nodeId });
+    };
+
+    const nodeTypes = model.nodeTypes || {};
+    const toggleDefinitions = model.toggleDefinitions || {};
+    if (!isPlainObject(nodeTypes)) {
+        report('error', 'invalid-node-types', 'nodeTypes', 'nodeTypes must be an object mapping type names to definitions');
+    } else {
+        Object.entries(nodeTypes).forEach(([type, typeDef]) => {
+            validateNodeType(type, typeDef, nodeTypes, toggleDefinitions, report);
+        });
+    }
+    if (!isPlainObject(toggleDefinitions)) {
+        report('error', 'invalid-toggle-definitions', 'toggleDefinitions', 'toggleDefinitions must be an object mapping toggle keys to definitions');
+    } else {
+        Object.entries(toggleDefinitions).forEach(([key, toggleDef]) => {
+            validateToggleDefinition(key, toggleDef, report);
+        });
+    }
+    (model.toggleOrder || []).forEach((key, index) => {
+        if (!toggleDefinitions[key]) {
+            report('error', 'unknown-toggle', `toggleOrder[${index}]`, `toggleOrder lists '${key}', which is not in toggleDefinitions`);
+        }
+    });
+
+    if (Array.isArray(data) && isPlainObject(nodeTypes) && isPlainObject(toggleDefinitions)) {
+        validateData(data, nodeTypes, toggleDefinitions, report);
+    } else if (data != null && !Array.isArray(data)) {
+        report('error', 'invalid-data', 'data', 'data must be an array of root nodes');
+    }
+
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const warnings = issues.filter(issue => issue.severity === 'warning');
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+function validateNodeType(type, typeDef, nodeTypes, toggleDefinitions, report) {
+    const path = `nodeTypes.${type}`;
+    if (!isPlainObject(typeDef)) {
+        report('error', 'invalid-node-type', path, `Node type '${type}' must be an object`);
+        return;
+    }
+    validateAllowedChildren(typeDef.allowedChildren, `${path}.allowedChildren`, `Node type '${type}'`, nodeTypes, report);
+
+    const defaultToggles = typeDef.defaultToggles || {};
+    Object.entries(defaultToggles).forEach(([key, value]) => {
+        const toggleDef = toggleDefinitions[key];
+        if (!toggleDef) {
+            report('error', 'unknown-toggle', `${path}.defaultToggles.${key}`, `Node type '${type}' has a default for toggle '${key}', which is not in toggleDefinitions`);
+        } else if (!isValidToggleValue(toggleDef, value)) {
+            report('warning', 'invalid-toggle-value', `${path}.defaultToggles.${key}`, `Node type '${type}' defaults toggle '${key}' to ${JSON.stringify(value)}, which is not one of its values`);
+        }
+    });
+}
+
+function validateAllowedChildren(allowedChildren, path, owner, nodeTypes, report, nodeId) {
+    if (allowedChildren === undefined) return;
+    if (!Array.isArray(allowedChildren)) {
+        report('error', 'invalid-allowed-children', path, `${owner} has allowedChildren that is not an array`, nodeId);
+        return;
+    }
+    allowedChildren.forEach((childType, index) => {
+        if (childType !== DEFAULT_TYPE && !nodeTypes[childType]) {
+            report('error', 'unknown-child-type', `${path}[${index}]`, `${owner} allows children of type '${childType}', which is not in nodeTypes`, nodeId);
+        }
+    });
+}
+
+function validateToggleDefinition(key, toggleDef, report) {
+    const path = `toggleDefinitions.${key}`;
+    if (!isPlainObject(toggleDef)) {
+        report('error', 'invalid-toggle', path, `Toggle '${key}' must be an object`);
+        return;
+    }
+    if (toggleDef.values !== undefined && !Array.isArray(toggleDef.values)) {
+        report('error', 'invalid-toggle-values', `${path}.values`, `Toggle '${key}' has values that is not an array`);
+        return;
+    }
+    const values = toggleDef.values || [];
+    const icons = toggleDef.icons;
+    if (values.length === 0) {
+        // Action toggles show one icon
+        if (isPlainObject(icons) && !icons.default) {
+            report('warning', 'missing-icon', `${path}.icons.default`, `Action toggle '${key}' has icons without a default`);
+        }
+    } else if (isPlainObject(icons)) {
+        values.forEach(value => {
+            if (!icons[String(value)]) {
+                report('warning', 'missing-icon', `${path}.icons.${value}`, `Toggle '${key}' has no icon for the value ${JSON.stringify(value)}`);
+            }
+        });
+        const valueKeys = values.map(String);
+        Object.keys(icons).forEach(iconKey => {
+            if (!valueKeys.includes(iconKey) && !SPECIAL_ICONS.includes(iconKey)) {
+                report('warning', 'unused-icon', `${path}.icons.${iconKey}`, `Toggle '${key}' has an icon for '${iconKey}', which is not one of its values`);
+            }
+        });
+    } else if (icons !== undefined) {
+        report('warning', 'invalid-icons', `${path}.icons`, `Toggle '${key}' needs an icon per value, not a single icon`);
+    }
+    if (toggleDef.inheritValue !== undefined) {
+        [].concat(toggleDef.inheritValue).forEach(value => {
+            if (!values.includes(value)) {
+                report('warning', 'invalid-toggle-value', `${path}.inheritValue`, `Toggle '${key}' inherits the value ${JSON.stringify(value)}, which is not one of its values`);
+            }
+        });
+    }
+}
+
+/**
+ * Check node types, allowedChildren and toggle values of the nodes. Children
+ * are only checked against parents that define allowedChildren (the root
+ * level when nodeTypes has a 'root' type).
+ */
+function validateData(data, nodeTypes, toggleDefinitions, report) {
+    const seenIds = new Set();
+    const visit = (nodes, parent, basePath) => {
+        nodes.forEach((node, index) => {
+            const path = basePath ? `${basePath}.${index}` : `data.${index}`;
+            if (!isPlainObject(node)) {
+                report('error', 'invalid-node', path, 'Nodes must be objects');
+                return;
+            }
+            const nodeId = node.id == null ? undefined : String(node.id);
+            const name = nodeId !== undefined ? `Node '${nodeId}'` : `Node at ${path}`;
+            if (nodeId !== undefined) {
+                if (seenIds.has(nodeId)) {
+                    report('error', 'duplicate-id', path, `${name} has the same id as an earlier node`, nodeId);
+                }
+                seenIds.add(nodeId);
+            }
+
+            const type = node.type || DEFAULT_TYPE;
+            if (type !== DEFAULT_TYPE && !nodeTypes[type]) {
+                report('warning', 'unknown-type', `${path}.type`, `${name} has type '${type}', which is not in nodeTypes`, nodeId);
+            }
+            const parentType = parent ? parent.type || DEFAULT_TYPE : 'root';
+            const allowedChildren = parent?.allowedChildren || nodeTypes[parentType]?.allowedChildren;
+            if (Array.isArray(allowedChildren) && (parent || nodeTypes.root)) {
+                if (!allowedChildren.includes(type)) {
+                    const parentName = parent ? `its parent '${parent.id}' (${parentType})` : 'the root';
+                    report('error', 'child-not-allowed', path, `${name} of type '${type}' is not allowed in ${parentName}`, nodeId);
+                }
+            }
+            validateAllowedChildren(node.allowedChildren, `${path}.allowedChildren`, name, nodeTypes, report, nodeId);
+
+            Object.entries(node.toggles || {}).forEach(([key, value]) => {
+                const toggleDef = toggleDefinitions[key];
+                if (!toggleDef) {
+                    report('warning', 'unknown-toggle', `${path}.toggles.${key}`, `${name} has a value for toggle '${key}', which is not in toggleDefinitions`, nodeId);
+                } else if (value !== null && !isValidToggleValue(toggleDef, value)) {
+                    report('warning', 'invalid-toggle-value', `${path}.toggles.${key}`, `${name} sets toggle '${key}' to ${JSON.stringify(value)}, which is not one of its values`, nodeId);
+                }
+            });
+
+            if (Array.isArray(node.children)) {
+                visit(node.children, node, `${path}.children`);
+            }
+        });
+    };
+    visit(data, null, '');
+}
+
+/**
+ * Action toggles take true/false (shown or not); other toggles one of their values
+ */
+function isValidToggleValue(toggleDef, value) {
+    const values = Array.isArray(toggleDef.values) ? toggleDef.values : [];
+    return values.length === 0 ? typeof value === 'boolean' : values.includes(value);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}